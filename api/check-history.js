@@ -0,0 +1,47 @@
+// api/check-history.js
+// Vercel Node serverless function for the saved check runs (lib/history.js).
+//
+//   GET                      -> { runs: [...] } newest first (?limit=, default 50)
+//   GET ?id=<run>            -> the run with its inputs and result snapshots
+//   GET ?id=<run>&diff=1     -> PROs whose FMS status, TMS stage or location
+//                               changed since they were last checked before it
+// Check responses carry the `runId` of the run they were saved as.
+
+import { diffRun, historyStore } from "../lib/history.js";
+
+const MAX_LIST = 500;
+
+/**
+ * Vercel handler
+ */
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+
+  const store = historyStore();
+  if (!store) {
+    res.status(404).json({ error: "Check history is off (HISTORY_STORE=off)" });
+    return;
+  }
+
+  const { id, diff, limit } = req.query || {};
+  try {
+    if (!id) {
+      const n = Math.min(MAX_LIST, Math.max(1, Number(limit) || 50));
+      res.status(200).json({ runs: await store.list({ limit: n }) });
+      return;
+    }
+
+    const body = diff ? await diffRun(String(id), store) : await store.get(String(id));
+    if (!body) {
+      res.status(404).json({ error: "Unknown run id" });
+      return;
+    }
+    res.status(200).json(body);
+  } catch (err) {
+    console.error("check-history handler error:", err);
+    res.status(500).json({ error: "Internal error reading check history" });
+  }
+}
@@ -0,0 +1,129 @@
+// api/check-jobs.js
+// Asynchronous FMS vs TMS checks with progress reporting.
+//
+//   POST { mode: "pro", pros: [...] } | { mode: "pu", pu_nos: [...] }
+//        | { mode: "do" | "tms_order" | "auto", ids: [...] }
+//        | { mode: "sweep", terminal, ... (see api/check-sweep.js) }
+//        | { mode: "orphans", terminal?, ... (see api/tms-orphans.js) }  -> 202 { id, ... }
+//        (any mode may add `fields`: extra FMS/TMS values per result; no mode
+//        is "pro", an unknown one is a 400 listing the modes)
+//   GET  ?id=<job>&after=<cursor>  -> phase, progress and partial results since cursor
+//   GET  ?id=<job>&results=1       -> final results in input order
+
+import {
+  checkByPro, checkByPu, checkMixed, checkSweep, findTmsOrphans,
+  prepareInputs, prepareOrphans, prepareSweep, summarizePuGroups
+} from "../lib/check.js";
+import { startJob, getJob, jobStatus } from "../lib/jobs.js";
+import { checkReport } from "../lib/report.js";
+import { extraFieldsParam } from "../lib/detail.js";
+
+// type: what prepareInputs validates the values as (null accepts anything)
+const MODES = {
+  pro:       { field: "pros",   type: "pro",       run: checkByPro },
+  pu:        { field: "pu_nos", type: "pu",        run: checkByPu },
+  do:        { field: "ids",    type: "do",        run: (ids, hooks) => checkMixed(ids, hooks, "do") },
+  tms_order: { field: "ids",    type: "tms_order", run: (ids, hooks) => checkMixed(ids, hooks, "tms_order") },
+  auto:      { field: "ids",    type: null,        run: (ids, hooks) => checkMixed(ids, hooks) }
+};
+
+/**
+ * Vercel handler
+ */
+export default async function handler(req, res) {
+  if (req.method === "POST") return createJob(req, res);
+  if (req.method === "GET") return readJob(req, res);
+  res.status(405).json({ error: "Method not allowed" });
+}
+
+// Inputs and check for a list mode, or { error }
+function listJob(body) {
+  const mode = body.mode ?? "pro";
+  const { field, type, run } = MODES[mode];
+  const values = body[field];
+
+  if (!Array.isArray(values) || values.length === 0) {
+    return { error: `${field} must be a non-empty array` };
+  }
+  const inputs = prepareInputs(values, type);
+  return { mode, inputs, check: (hooks) => run(inputs.trimmed, hooks) };
+}
+
+// Sweeps and orphan reports have criteria instead of a list; their PROs are found while they run
+const QUERY_JOBS = {
+  sweep(body) {
+    const { sweep, error } = prepareSweep(body);
+    if (error) return { error };
+    return { mode: "sweep", inputs: sweep, check: (hooks) => checkSweep(sweep, hooks) };
+  },
+  orphans(body) {
+    const { orphans, error } = prepareOrphans(body);
+    if (error) return { error };
+    return { mode: "orphans", inputs: orphans, check: (hooks) => findTmsOrphans(orphans, hooks) };
+  }
+};
+
+function createJob(req, res) {
+  const body = req.body || {};
+  // No mode is a PRO check; a misspelled one must not quietly become one
+  const modes = [...Object.keys(MODES), ...Object.keys(QUERY_JOBS)];
+  if (body.mode !== undefined && !modes.includes(body.mode)) {
+    res.status(400).json({ error: `mode must be one of ${modes.join(", ")}`, code: "invalid_input", modes });
+    return;
+  }
+  const prepare = Object.hasOwn(QUERY_JOBS, body.mode) ? QUERY_JOBS[body.mode] : listJob;
+  const { mode, inputs, check, error: inputError } = prepare(body);
+  if (inputError) {
+    res.status(400).json({ error: inputError });
+    return;
+  }
+
+  const { fields, error } = extraFieldsParam(body.fields);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+
+  const report = checkReport(inputs, mode === "orphans" ? null : mode);
+  const job = startJob(
+    { mode, inputs: inputs.trimmed, received: inputs.unique.length },
+    async (hooks) => {
+      const results = await report.run((h) => check({ ...h, fields }), hooks);
+      // Runs after startJob has returned, so `job` is set by now
+      job.summary = await report.finish(results);
+      return results;
+    }
+  );
+
+  res.status(202).json(jobStatus(job));
+}
+
+function readJob(req, res) {
+  const { id, after, results } = req.query || {};
+  const job = getJob(id);
+
+  if (!job) {
+    res.status(404).json({ error: "Unknown or expired job id" });
+    return;
+  }
+
+  if (!results) {
+    res.status(200).json(jobStatus(job, after));
+    return;
+  }
+
+  if (job.status === "failed") {
+    res.status(500).json({ error: "Internal error running status check", detail: job.error });
+    return;
+  }
+  if (job.status !== "done") {
+    res.status(409).json({ error: "Job still running", phase: job.phase, progress: job.progress });
+    return;
+  }
+
+  res.status(200).json({
+    results: job.results,
+    ...(job.mode === "pu" ? { groups: summarizePuGroups(job.results) } : {}),
+    ...job.summary
+  });
+}
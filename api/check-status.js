@@ -0,0 +1,61 @@
+// api/check-status.js
+// Vercel Node serverless function for comparing FMS vs TMS status from a
+// mixed identifier list (PRO, PU, DO, TMS order id, BOL, PO).
+//
+// Body: { ids: [...], type?: "pro" | "pu" | "do" | "tms_order" | "bol" | "po", fields?: [...] }
+// Without `type` each identifier is auto-detected; every result records the
+// type it was resolved as (idType) and which system recognized it (resolvedIn).
+// `fields` names extra values to copy into fms.extra / tms.extra (see lib/detail.js).
+
+import { checkMixed, prepareInputs } from "../lib/check.js";
+import { ID_TYPES } from "../lib/identifiers.js";
+import { wantsStream, streamCheck } from "../lib/stream.js";
+import { checkReport } from "../lib/report.js";
+import { extraFieldsParam } from "../lib/detail.js";
+
+/**
+ * Vercel handler
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+
+  const body = req.body || {};
+  const { ids, type = null } = body;
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    res.status(400).json({ error: "ids must be a non-empty array" });
+    return;
+  }
+  if (type !== null && !ID_TYPES.includes(type)) {
+    res.status(400).json({ error: `type must be one of ${ID_TYPES.join(", ")}` });
+    return;
+  }
+
+  // Extra FMS/TMS values to copy into each result
+  const { fields, error } = extraFieldsParam(body.fields);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+
+  // Unique, trimmed identifiers; `meta` says what was dropped
+  const inputs = prepareInputs(ids, type);
+  const report = checkReport(inputs, type || "auto");
+  const check  = (hooks) => checkMixed(inputs.trimmed, { ...hooks, fields }, type);
+
+  if (wantsStream(req)) {
+    await streamCheck(req, res, (hooks) => report.run(check, hooks), (results) => report.finish(results));
+    return;
+  }
+
+  try {
+    const results = await report.run(check);
+    res.status(200).json({ results, ...await report.finish(results) });
+  } catch (err) {
+    console.error("check-status handler error:", err);
+    res.status(500).json({ error: "Internal error running status check" });
+  }
+}
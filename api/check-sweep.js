@@ -0,0 +1,54 @@
+// api/check-sweep.js
+// Vercel Node serverless function comparing FMS vs TMS status for everything
+// at one terminal, without a PRO list.
+//
+// Body: { terminal: "LAX", statuses?: [...], excludeDelivered?: bool,
+//         dateField?: "pickup_requested" | "pickup" | "delivery_requested" | "delivery",
+//         from?: "YYYY-MM-DD", to?: "YYYY-MM-DD", fields?: [...] }
+// Every result says which system's sweep found it (sweepSide); `meta.found`
+// counts the shipments each sweep returned.
+
+import { checkSweep, prepareSweep } from "../lib/check.js";
+import { wantsStream, streamCheck } from "../lib/stream.js";
+import { checkReport } from "../lib/report.js";
+import { extraFieldsParam } from "../lib/detail.js";
+
+/**
+ * Vercel handler
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+
+  const body = req.body || {};
+  const { sweep, error: sweepError } = prepareSweep(body);
+  if (sweepError) {
+    res.status(400).json({ error: sweepError });
+    return;
+  }
+
+  // Extra FMS/TMS values to copy into each result
+  const { fields, error } = extraFieldsParam(body.fields);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+
+  const report = checkReport(sweep, "sweep");
+  const check  = (hooks) => checkSweep(sweep, { ...hooks, fields });
+
+  if (wantsStream(req)) {
+    await streamCheck(req, res, (hooks) => report.run(check, hooks), (results) => report.finish(results));
+    return;
+  }
+
+  try {
+    const results = await report.run(check);
+    res.status(200).json({ results, ...await report.finish(results) });
+  } catch (err) {
+    console.error("check-sweep handler error:", err);
+    res.status(500).json({ error: "Internal error running terminal sweep" });
+  }
+}
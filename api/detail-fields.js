@@ -0,0 +1,28 @@
+// api/detail-fields.js
+// Vercel Node serverless function listing the mapped FMS/TMS fields a check
+// request can ask for in `fields`, for the UI column chooser.
+//
+// GET /api/detail-fields -> { fields: [{ key, label, fms, tms }], max }
+// fms / tms say whether the field has a value to read in that system during a
+// check. Raw names (tms.<column>, fms.basic.<path>, fms.head.<path>) are
+// accepted too but not listed.
+
+import { loadDetailFields, resolveExtraFields, MAX_EXTRA_FIELDS } from "../lib/detail.js";
+
+/**
+ * Vercel handler
+ */
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+
+  const { fields } = resolveExtraFields(loadDetailFields().map((f) => f.key));
+  res.status(200).json({
+    fields: fields
+      .filter((f) => f.fms.length || f.tms.length)
+      .map((f) => ({ key: f.name, label: f.label, fms: f.fms.length > 0, tms: f.tms.length > 0 })),
+    max: MAX_EXTRA_FIELDS
+  });
+}
@@ -0,0 +1,35 @@
+// api/shipment-detail.js
+// Vercel Node serverless function returning the full FMS and TMS records for
+// one PRO side by side, with the fields both systems report compared.
+//
+// GET /api/shipment-detail?pro=123456[&do=DO123456][&order=998]
+// `do` / `order` pick the record to show when a system has several.
+
+import { shipmentDetail } from "../lib/detail.js";
+import { normalizeIdentifier } from "../lib/identifiers.js";
+
+/**
+ * Vercel handler
+ */
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+
+  const { pro: rawPro, do: rawDo, order } = req.query || {};
+  const { value: pro, reason } = normalizeIdentifier(rawPro, "pro");
+  if (!pro) {
+    res.status(400).json({ error: `pro: ${reason}` });
+    return;
+  }
+  const DO = rawDo ? normalizeIdentifier(rawDo, "do").value : null;
+
+  try {
+    const detail = await shipmentDetail(pro, { DO, orderId: order ? String(order).trim() : null });
+    res.status(200).json(detail);
+  } catch (err) {
+    console.error("shipment-detail handler error:", err);
+    res.status(500).json({ error: "Internal error loading shipment detail" });
+  }
+}
@@ -0,0 +1,46 @@
+// api/tms-orphans.js
+// Vercel Node serverless function for the reverse reconciliation: start from
+// a TMS trace query and report what FMS doesn't match.
+//
+// Body: { terminal?, stages?: [...], statuses?: [...],
+//         createdFrom?: "YYYY-MM-DD", createdTo?: "YYYY-MM-DD" }
+// (a terminal or a create date is required)
+// Results list only problem TMS orders (verdict missing_in_fms or
+// pu_mismatch); `meta.counts` sums them up and lists orders without a PRO.
+// Not saved to the check history: its rows carry no FMS status to compare.
+
+import { findTmsOrphans, prepareOrphans } from "../lib/check.js";
+import { wantsStream, streamCheck } from "../lib/stream.js";
+import { checkReport } from "../lib/report.js";
+
+/**
+ * Vercel handler
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+
+  const { orphans, error } = prepareOrphans(req.body || {});
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+
+  const report = checkReport(orphans);
+  const check  = (hooks) => findTmsOrphans(orphans, hooks);
+
+  if (wantsStream(req)) {
+    await streamCheck(req, res, (hooks) => report.run(check, hooks), () => report.summary());
+    return;
+  }
+
+  try {
+    const results = await report.run(check);
+    res.status(200).json({ results, ...report.summary() });
+  } catch (err) {
+    console.error("tms-orphans handler error:", err);
+    res.status(500).json({ error: "Internal error running TMS orphan report" });
+  }
+}
@@ -0,0 +1,41 @@
+// api/watchlist-run.js
+// Vercel Node serverless function that re-checks every enabled watchlist whose
+// interval has passed (lib/watchlists.js). vercel.json runs it every five
+// minutes (plans with only daily cron jobs run it once a day); a watchlist's
+// own interval decides whether a call runs it.
+//
+// GET | POST -> { due, ran: [{ id, name, runId, checked, transitions, alerts } | { id, name, error }] }
+// When CRON_SECRET is set the request must carry "Authorization: Bearer <CRON_SECRET>"
+// (what Vercel Cron Jobs send). On Vercel CRON_SECRET is required: without it
+// every request is refused (503), so nobody else can set off the runs and
+// their notifications.
+
+import { runDueWatchlists } from "../lib/watchlists.js";
+
+const CRON_SECRET = process.env.CRON_SECRET;
+
+/**
+ * Vercel handler
+ */
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+  if (!CRON_SECRET && process.env.VERCEL) {
+    console.error("watchlist-run refused: CRON_SECRET is not set");
+    res.status(503).json({ error: "CRON_SECRET is not configured" });
+    return;
+  }
+  if (CRON_SECRET && req.headers?.authorization !== `Bearer ${CRON_SECRET}`) {
+    res.status(401).json({ error: "Unauthorized" });
+    return;
+  }
+
+  try {
+    res.status(200).json(await runDueWatchlists());
+  } catch (err) {
+    console.error("watchlist-run handler error:", err);
+    res.status(500).json({ error: "Internal error running watchlists" });
+  }
+}
@@ -0,0 +1,115 @@
+// api/watchlists.js
+// Vercel Node serverless function for saved watchlists (lib/watchlists.js):
+// named PRO lists re-checked on an interval, with alerts when a PRO's verdict
+// changes, it goes missing from FMS or TMS, or it is delivered.
+//
+//   GET                      -> { watchlists: [...] } (no PROs, state or transitions)
+//   GET    ?id=<watchlist>   -> the watchlist with its PROs, per-PRO state and
+//                               transitions (newest first, ?limit=, default 100)
+//   POST   { name, pros: [...], intervalMinutes?, enabled? }  -> 201 { watchlist, meta }
+//   POST   ?id=<watchlist>&run=1  -> re-check it now (409 while it is already running)
+//   PUT    ?id=<watchlist>  { name?, pros?, intervalMinutes?, enabled? }  -> { watchlist, meta }
+//   DELETE ?id=<watchlist>
+// With WATCHLIST_SCHEDULER=interval this process also runs due watchlists
+// itself; otherwise a cron calls api/watchlist-run.js.
+
+import {
+  createWatchlist, runWatchlist, startWatchScheduler, updateWatchlist, watchlistInfo, watchlistStore
+} from "../lib/watchlists.js";
+
+const MAX_TRANSITIONS = 500;
+
+if (process.env.WATCHLIST_SCHEDULER === "interval") startWatchScheduler();
+
+/**
+ * Vercel handler
+ */
+export default async function handler(req, res) {
+  const { id } = req.query || {};
+  if (id === undefined && (req.method === "PUT" || req.method === "DELETE")) {
+    res.status(400).json({ error: "id is required" });
+    return;
+  }
+
+  try {
+    switch (req.method) {
+      case "GET":    return id === undefined ? await listWatchlists(res) : await readWatchlist(req, res);
+      case "POST":   return id === undefined ? await addWatchlist(req, res) : await runNow(req, res);
+      case "PUT":    return await editWatchlist(req, res);
+      case "DELETE": return await deleteWatchlist(req, res);
+      default:
+        res.status(405).json({ error: "Method not allowed" });
+    }
+  } catch (err) {
+    console.error("watchlists handler error:", err);
+    res.status(500).json({ error: "Internal error handling watchlist" });
+  }
+}
+
+async function listWatchlists(res) {
+  const lists = await watchlistStore().list();
+  res.status(200).json({ watchlists: lists.map(watchlistInfo) });
+}
+
+async function readWatchlist(req, res) {
+  const watchlist = await watchlistStore().get(String(req.query.id));
+  if (!watchlist) {
+    res.status(404).json({ error: "Unknown watchlist id" });
+    return;
+  }
+  const n = Math.min(MAX_TRANSITIONS, Math.max(1, Number(req.query.limit) || 100));
+  res.status(200).json({
+    ...watchlistInfo(watchlist),
+    pros: watchlist.pros,
+    state: watchlist.state,
+    transitions: watchlist.transitions.slice(-n).reverse()
+  });
+}
+
+async function addWatchlist(req, res) {
+  const { watchlist, meta, error } = await createWatchlist(req.body || {});
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  res.status(201).json({ watchlist: watchlistInfo(watchlist), meta });
+}
+
+async function editWatchlist(req, res) {
+  const updated = await updateWatchlist(String(req.query.id), req.body || {});
+  if (!updated) {
+    res.status(404).json({ error: "Unknown watchlist id" });
+    return;
+  }
+  if (updated.error) {
+    res.status(400).json({ error: updated.error });
+    return;
+  }
+  res.status(200).json({ watchlist: watchlistInfo(updated.watchlist), meta: updated.meta });
+}
+
+async function deleteWatchlist(req, res) {
+  const id = String(req.query.id);
+  if (!await watchlistStore().remove(id)) {
+    res.status(404).json({ error: "Unknown watchlist id" });
+    return;
+  }
+  res.status(200).json({ deleted: id });
+}
+
+async function runNow(req, res) {
+  if (!req.query.run) {
+    res.status(400).json({ error: "POST with an id needs run=1" });
+    return;
+  }
+  const result = await runWatchlist(String(req.query.id));
+  if (!result) {
+    res.status(404).json({ error: "Unknown watchlist id" });
+    return;
+  }
+  if (result.busy) {
+    res.status(409).json({ error: "Watchlist is already running" });
+    return;
+  }
+  res.status(200).json(result);
+}
@@ -0,0 +1,1170 @@
+// lib/check.js
+// FMS vs TMS check pipelines (by PRO, by PU, and mixed identifiers) shared by
+// the API endpoints.
+//
+// All pipelines accept optional hooks so callers can observe a running check:
+//   onProgress({ phase, done, total })  phase: fms_auth | fms_search | tms_trace | fms_details
+//   onResult(result, index)             fired as each merged result is ready
+//   onWarning(error)                    a whole system failed (FMS search, TMS trace);
+//                                       error is { code, system, endpoint, status, message }
+//
+// FMS and TMS sub-results carry `error` (same shape, or null): not_found when
+// the system has no record, anything else when it could not be checked.
+//
+// The hooks object may also carry `fields` (from resolveExtraFields()): extra
+// values copied from the FMS detail payloads and the TMS trace row into
+// fms.extra / tms.extra of every result.
+
+import { computeVerdict, statusesEquivalent } from "./verdict.js";
+import { canonicalTerminal, compareLocations, terminalAliases } from "./terminals.js";
+import {
+  assertFmsCredentials, authFms, fmsSearchOrders, fmsSearchWhere, fetchFmsDetails, fmsSession, FMS_SEARCH_ENDPOINT
+} from "./fms.js";
+import { authTms, tmsTraceBy, tmsTraceForPros, tmsTracePages, tmsSession, TMS_TRACE_ENDPOINT } from "./tms.js";
+import { errorInfo, notFoundError } from "./errors.js";
+import { sessionReport } from "./sessions.js";
+import { callTracker } from "./upstream.js";
+import { classifyIdentifier, normalizeIdentifier } from "./identifiers.js";
+import { flattenRecord, pickExtraFields } from "./detail.js";
+
+// Helper: normalize fields
+const clean    = (v) => String(v ?? "").trim();
+const cleanPro = (v) => clean(v);
+const cleanPu  = (v) => clean(v);
+// Helper: case-insensitive lookup key
+const idKey    = (v) => clean(v).toUpperCase();
+
+// FMS search and TMS trace are batched downstream,
+// so the cap only guards against runaway input.
+const MAX_INPUTS = Number(process.env.MAX_INPUTS) || 5000;
+
+/**
+ * Unique, normalized, valid identifiers capped at MAX_INPUTS.
+ * `type` is the identifier type the values are parsed as (pro, do, ...; see
+ * normalizeIdentifier); null accepts anything non-blank. `meta` reports what was dropped and why:
+ *   { received, blank, duplicates: { count, values }, invalid: [{ input, reason }],
+ *     truncated: { count, limit, values }, checked }
+ */
+export function prepareInputs(values, type = null) {
+  const seen       = new Set();
+  const duplicates = new Set();
+  const invalid    = [];
+  const unique     = [];
+  let duplicateCount = 0;
+  let blank = 0;
+
+  for (const raw of values) {
+    const input = String(raw ?? "").trim();
+    if (!input) {
+      blank++;
+      continue;
+    }
+
+    const { value, reason } = normalizeIdentifier(input, type);
+    if (!value) {
+      invalid.push({ input, reason });
+      continue;
+    }
+    if (seen.has(value)) {
+      duplicateCount++;
+      duplicates.add(value);
+      continue;
+    }
+    seen.add(value);
+    unique.push(value);
+  }
+
+  const trimmed = unique.slice(0, MAX_INPUTS);
+  const over    = unique.slice(MAX_INPUTS);
+  return {
+    unique,
+    trimmed,
+    meta: {
+      received: values.length,
+      blank,
+      duplicates: { count: duplicateCount, values: [...duplicates] },
+      invalid,
+      truncated: { count: over.length, limit: MAX_INPUTS, values: over },
+      checked: trimmed.length
+    }
+  };
+}
+
+/**
+ * Current FMS/TMS session state; pass it to sessionMeta() after a check.
+ */
+export function sessionSnapshot() {
+  return { fms: fmsSession.info(), tms: tmsSession.info() };
+}
+
+/**
+ * Session metadata for a response: age of each login and whether a
+ * re-login happened since `before` (a sessionSnapshot()).
+ */
+export function sessionMeta(before) {
+  return {
+    fms: sessionReport(fmsSession, before?.fms),
+    tms: sessionReport(tmsSession, before?.tms)
+  };
+}
+
+/**
+ * Simple concurrency limiter for async work.
+ * Runs at most `limit` workers in parallel while preserving result order.
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let index = 0;
+
+  async function next() {
+    const current = index++;
+    if (current >= items.length) return;
+    results[current] = await worker(items[current], current);
+    await next();
+  }
+
+  const runners = [];
+  const max = Math.min(limit, items.length);
+  for (let i = 0; i < max; i++) {
+    runners.push(next());
+  }
+  await Promise.all(runners);
+  return results;
+}
+
+/* ========================
+   RESULT BUILDERS
+======================== */
+function emptyFmsResult(error) {
+  return {
+    hasDO: false,
+    DO: null,
+    ok: false,
+    loc: null,
+    status: null,
+    substatus: null,
+    partial: false,
+    error,
+    duplicate: false,
+    DOs: []
+  };
+}
+
+/**
+ * Record a system-wide failure: log it, report it through onWarning and
+ * return the error object the affected sub-results carry.
+ */
+function systemFailure(system, e, onWarning) {
+  const error = errorInfo(e, { system });
+  console.error(`${system.toUpperCase()} flow failed:`, error.message);
+  onWarning(error);
+  return error;
+}
+
+/**
+ * FMS side of a result. Several DOs for one shipment is a data problem, so
+ * every candidate is fetched and kept; the first one fills the usual fields.
+ * Detail calls that had to be retried or were short-circuited are listed
+ * under `upstream`. `fmsFailure` is the error to report when FMS search
+ * itself failed, so a missing DO isn't mistaken for "not in FMS".
+ */
+async function fmsResultFor(DOs, fmsFailure = null, fields = null) {
+  const list = [...new Set([].concat(DOs ?? []).filter(Boolean))];
+  const wantRaw = !!pickExtraFields(fields, "fms", null);
+  if (!list.length) {
+    const empty = emptyFmsResult(fmsFailure || notFoundError("fms", FMS_SEARCH_ENDPOINT, "No FMS order for this shipment"));
+    if (wantRaw) empty.extra = pickExtraFields(fields, "fms", null);
+    return empty;
+  }
+
+  const calls   = callTracker();
+  const details = [];
+  await calls.run(async () => {
+    for (const DO of list) {
+      const d = await fetchFmsDetails(DO, { raw: wantRaw });
+      d.DO    = DO;
+      d.hasDO = true;
+      details.push(d);
+    }
+  });
+
+  const fmsRes = details[0];
+  if (wantRaw) {
+    const { basic, head } = fmsRes.raw || {};
+    fmsRes.extra = pickExtraFields(fields, "fms", { ...flattenRecord(basic ?? {}, "basic"), ...flattenRecord(head ?? {}, "head") });
+    details.forEach((d) => delete d.raw);
+  }
+  fmsRes.duplicate = list.length > 1;
+  fmsRes.DOs       = list;
+  if (fmsRes.duplicate) {
+    fmsRes.candidates = details.map(({ DO, ok, loc, status, substatus, error }) => ({ DO, ok, loc, status, substatus, error }));
+  }
+  if (calls.any()) {
+    const { retried, shortCircuited } = calls.report();
+    fmsRes.upstream = { retried, shortCircuited };
+  }
+  return fmsRes;
+}
+
+/**
+ * TMS side of a result from the PRO -> rows trace map.
+ * A null map means TMS could not be checked at all; `tmsFailure` says why.
+ * Several TMS orders for one PRO are all kept as candidates; the first one
+ * fills the usual fields.
+ */
+function tmsResultFor(tmsMap, pro, tmsFailure = null, fields = null) {
+  const tmsRes = {
+    attempted: false,
+    ok: false,
+    notFound: false,
+    orderId: null,
+    loc: null,
+    status: null,
+    substatus: null,
+    pu: null,
+    error: null,
+    duplicate: false,
+    orderIds: []
+  };
+  const extra = pickExtraFields(fields, "tms", null);
+  if (extra) tmsRes.extra = extra;
+  if (!tmsMap) {
+    tmsRes.error = tmsFailure || errorInfo(new Error("TMS was not checked"), { system: "tms" });
+    return tmsRes;
+  }
+
+  tmsRes.attempted = true;
+  const rows = (pro && tmsMap.get(cleanPro(pro))) || [];
+  if (!rows.length) {
+    tmsRes.notFound = true;
+    tmsRes.error = notFoundError("tms", TMS_TRACE_ENDPOINT, "No TMS order for this shipment");
+    return tmsRes;
+  }
+
+  const row = rows[0];
+  tmsRes.duplicate = rows.length > 1;
+  tmsRes.orderIds  = rows.map((rw) => rw.tms_order_id ?? null);
+  if (tmsRes.duplicate) {
+    tmsRes.candidates = rows.map((rw) => ({
+      orderId: rw.tms_order_id ?? null,
+      loc: rw.wa2_code ?? null,
+      status: rw.tms_order_stage ?? null,
+      substatus: rw.tms_order_status ?? null,
+      pu: cleanPu(rw.fk_tms_order_group_id ?? null)
+    }));
+  }
+
+  tmsRes.ok        = true;
+  tmsRes.orderId   = row.tms_order_id    ?? null;
+  tmsRes.loc       = row.wa2_code        ?? null;
+  tmsRes.status    = row.tms_order_stage ?? null;
+  tmsRes.substatus = row.tms_order_status ?? null;
+  // PU from TMS (you said this is "fk_tms_order_group_id")
+  tmsRes.pu        = cleanPu(row.fk_tms_order_group_id ?? null);
+  if (extra) tmsRes.extra = pickExtraFields(fields, "tms", flattenRecord(row));
+  return tmsRes;
+}
+
+/**
+ * Merge extra trace rows into a PRO -> rows map, skipping TMS orders already present.
+ */
+function addTmsRows(tmsMap, rows) {
+  for (const rw of rows) {
+    const pro = cleanPro(rw.tms_order_pro);
+    if (!pro) continue;
+    const list = tmsMap.get(pro) || [];
+    if (!list.some((x) => x.tms_order_id === rw.tms_order_id)) list.push(rw);
+    tmsMap.set(pro, list);
+  }
+}
+
+/* ========================
+   MAIN ORCHESTRATION (PRO)
+======================== */
+export async function checkByPro(pros, hooks = {}) {
+  assertFmsCredentials();
+  const { onProgress = () => {}, onResult = () => {}, onWarning = () => {}, fields = null } = hooks;
+  const total = pros.length;
+
+  // 1) FMS: auth + search + DO/PU mapping (batched + paged search)
+  let mapByPro = {};
+  let proToPu  = {};
+  let fmsFailure = null;
+  onProgress({ phase: "fms_auth", done: 0, total });
+  try {
+    await authFms();
+    onProgress({ phase: "fms_search", done: 0, total });
+    ({ mapByPro, proToPu } = buildFmsMap(await fmsSearchOrders("tracking_nos", pros)));
+  } catch (e) {
+    fmsFailure = systemFailure("fms", e, onWarning);
+  }
+
+  // 2) TMS: auth + change group + chunked trace for all PROs
+  let tmsMap = null;
+  let tmsFailure = null;
+  onProgress({ phase: "tms_trace", done: 0, total });
+  try {
+    await authTms();
+    tmsMap = await tmsTraceForPros(pros);
+  } catch (e) {
+    tmsFailure = systemFailure("tms", e, onWarning);
+  }
+
+  // 3) Build combined result list with limited concurrency
+  const CONCURRENCY = 5; // tweak if needed
+  let done = 0;
+  onProgress({ phase: "fms_details", done, total });
+
+  const results = await runWithConcurrency(pros, CONCURRENCY, async (pro, i) => {
+    const DOs        = mapByPro[pro];
+    const puFromFms  = proToPu[pro] || null;
+
+    const fmsRes = await fmsResultFor(DOs, fmsFailure, fields);
+    fmsRes.pu    = puFromFms; // we still surface PU if we got it from search
+
+    const tmsRes = tmsResultFor(tmsMap, pro, tmsFailure, fields);
+
+    // Top-level result carries both PRO and a merged PU
+    const result = {
+      pro,
+      pu: puFromFms || tmsRes.pu || null,
+      fms: fmsRes,
+      tms: tmsRes,
+      ...compareLocations(fmsRes.loc, tmsRes.loc),
+      ...computeVerdict({ fms: fmsRes, tms: tmsRes })
+    };
+
+    onResult(result, i);
+    onProgress({ phase: "fms_details", done: ++done, total });
+    return result;
+  });
+
+  return results;
+}
+
+/* ========================
+   MAIN ORCHESTRATION (PU)
+======================== */
+export async function checkByPu(pus, hooks = {}) {
+  assertFmsCredentials();
+  const { onProgress = () => {}, onResult = () => {}, onWarning = () => {}, fields = null } = hooks;
+
+  // 1) FMS: auth + search by PU + build PU -> [{ DO, pro }] map
+  let mapByPu    = {};
+  let uniquePros = [];
+  let fmsFailure = null;
+  onProgress({ phase: "fms_auth", done: 0, total: pus.length });
+  try {
+    await authFms();
+    onProgress({ phase: "fms_search", done: 0, total: pus.length });
+    ({ mapByPu, uniquePros } = buildFmsMapByPu(await fmsSearchOrders("pu_nos", pus)));
+  } catch (e) {
+    fmsFailure = systemFailure("fms", e, onWarning);
+  }
+
+  // 2) TMS: trace the FMS PROs, plus everything TMS groups under each PU
+  //    (fk_tms_order_group_id) so PROs only one side knows about show up
+  let tmsMap  = null;
+  let tmsByPu = null; // upper-cased PU -> Set of PROs TMS groups under it
+  let tmsFailure = null;
+  onProgress({ phase: "tms_trace", done: 0, total: pus.length });
+  try {
+    await authTms();
+    tmsMap = await tmsTraceForPros(uniquePros);
+
+    const puRows = await tmsTraceBy("input_filter_pu", pus);
+    addTmsRows(tmsMap, puRows);
+
+    tmsByPu = new Map();
+    for (const [pro, rows] of tmsMap) {
+      for (const rw of rows) {
+        const key = idKey(rw.fk_tms_order_group_id);
+        if (!key) continue;
+        if (!tmsByPu.has(key)) tmsByPu.set(key, new Set());
+        tmsByPu.get(key).add(pro);
+      }
+    }
+  } catch (e) {
+    tmsFailure = systemFailure("tms", e, onWarning);
+    tmsMap  = null;
+    tmsByPu = null;
+  }
+
+  // 3) One task per shipment under each PU, from either side
+  const tasks = pus.flatMap((pu) => puShipments(cleanPu(pu), mapByPu, tmsByPu));
+
+  const CONCURRENCY = 5;
+  const total = tasks.length;
+  let done = 0;
+  onProgress({ phase: "fms_details", done, total });
+
+  const results = await runWithConcurrency(tasks, CONCURRENCY, async (task, i) => {
+    const fmsRes = await fmsResultFor(task.DOs, fmsFailure, fields);
+
+    // Without a PRO we can't look it up in TMS, which reads as "not found";
+    // a failed TMS flow is reported as such instead.
+    const tmsRes = tmsResultFor(tmsMap, task.pro, tmsFailure, fields);
+
+    // Top-level result carries the PU, the PRO (if known) and how it is grouped
+    const result = {
+      pu: task.pu,
+      pro: task.pro,
+      puCount: task.puCount,
+      puSide: task.puSide,
+      fms: fmsRes,
+      tms: tmsRes,
+      ...compareLocations(fmsRes.loc, tmsRes.loc),
+      ...computeVerdict({ fms: fmsRes, tms: tmsRes })
+    };
+
+    onResult(result, i);
+    onProgress({ phase: "fms_details", done: ++done, total });
+    return result;
+  });
+
+  return results;
+}
+
+/**
+ * Shipments under one PU: every FMS DO/PRO plus PROs only TMS groups under it.
+ * puSide is "both", "fms_only" or "tms_only" depending on which system
+ * groups the PRO under this PU (null when TMS could not be checked).
+ * A PU nobody knows still yields one row.
+ */
+function puShipments(pu, mapByPu, tmsByPu) {
+  const fmsEntries = mapByPu[idKey(pu)] || [];
+  const tmsPros    = tmsByPu?.get(idKey(pu)) || new Set();
+
+  // DOs sharing a PRO are one (duplicate) shipment
+  const byPro = new Map();
+  for (const e of fmsEntries) {
+    const key = e.pro || e.DO;
+    if (!byPro.has(key)) byPro.set(key, { pro: e.pro, DOs: [] });
+    byPro.get(key).DOs.push(e.DO);
+  }
+
+  const shipments = [...byPro.values()].map((e) => ({
+    pu,
+    DOs: e.DOs,
+    pro: e.pro,
+    puSide: !tmsByPu ? null : (e.pro && tmsPros.has(e.pro) ? "both" : "fms_only")
+  }));
+  for (const pro of tmsPros) {
+    if (!byPro.has(pro)) shipments.push({ pu, DOs: [], pro, puSide: "tms_only" });
+  }
+
+  if (!shipments.length) {
+    return [{ pu, DOs: [], pro: null, puSide: null, puCount: 0 }];
+  }
+  return shipments.map((sh) => ({ ...sh, puCount: shipments.length }));
+}
+
+/**
+ * Per-PU summary of PU-mode results: shipment count and the PROs only one
+ * system groups under the PU.
+ */
+export function summarizePuGroups(results) {
+  const groups = new Map();
+  for (const r of results) {
+    if (!groups.has(r.pu)) {
+      groups.set(r.pu, { pu: r.pu, count: r.puCount ?? 0, fmsOnly: [], tmsOnly: [], consistent: true });
+    }
+    const g = groups.get(r.pu);
+    if (r.puSide === "fms_only") g.fmsOnly.push(r.pro ?? r.fms?.DO);
+    if (r.puSide === "tms_only") g.tmsOnly.push(r.pro);
+    g.consistent = !g.fmsOnly.length && !g.tmsOnly.length;
+  }
+  return [...groups.values()];
+}
+
+/* ========================
+   MAIN ORCHESTRATION (MIXED)
+======================== */
+
+// How each identifier type is searched in FMS (search field) and TMS (trace filter).
+// byItem/byRow read the identifier back off a hit so a batched search can be
+// attributed to its inputs; types without one are searched one value at a time.
+const ROUTES = {
+  pro:       { fmsField: "tracking_nos", tmsFilter: "input_filter_pro",
+               byItem: (it) => fmsItem(it).pro, byRow: (rw) => rw.tms_order_pro },
+  pu:        { fmsField: "pu_nos",       tmsFilter: "input_filter_pu",
+               byItem: (it) => fmsItem(it).pu,  byRow: (rw) => rw.fk_tms_order_group_id },
+  do:        { fmsField: "order_nos",    tmsFilter: null,
+               byItem: (it) => fmsItem(it).DO },
+  tms_order: { fmsField: null,           tmsFilter: "input_filter_order",
+               byRow: (rw) => rw.tms_order_id },
+  bol:       { fmsField: "bols",         tmsFilter: "input_filter_cust_bol" },
+  po:        { fmsField: "po_nos",       tmsFilter: "input_filter_po" }
+};
+
+// Per-value searches (BOL/PO) run with this much parallelism
+const LOOKUP_CONCURRENCY = 3;
+
+/**
+ * Check a mixed list of identifiers (PRO, PU, DO, TMS order id, BOL, PO).
+ * Each input is tried as its candidate types in order, first in FMS and then
+ * in TMS, and resolves to one result per shipment found. `forceType` pins
+ * every input to a single type instead of auto-detecting.
+ */
+export async function checkMixed(values, hooks = {}, forceType = null) {
+  assertFmsCredentials();
+  const { onProgress = () => {}, onResult = () => {}, onWarning = () => {}, fields = null } = hooks;
+  const entries = values.map((v) => classifyIdentifier(v, forceType)).filter(Boolean);
+  const rounds  = Math.max(0, ...entries.map((e) => e.candidates.length));
+  const hits    = new Map(); // entry -> { type, source, items, rows }
+
+  // 1) FMS: resolve inputs type by type, most likely candidate first
+  let fmsFailure = null;
+  onProgress({ phase: "fms_auth", done: 0, total: entries.length });
+  try {
+    await authFms();
+    onProgress({ phase: "fms_search", done: 0, total: entries.length });
+
+    for (let round = 0; round < rounds; round++) {
+      const groups = groupByCandidate(entries, round, hits, "fmsField");
+      for (const [type, group] of groups) {
+        const found = await fmsLookup(type, group.map((e) => e.value));
+        for (const e of group) {
+          const items = found.get(idKey(e.value));
+          if (items) hits.set(e, { type, source: "fms", items, rows: [] });
+        }
+      }
+    }
+  } catch (e) {
+    fmsFailure = systemFailure("fms", e, onWarning);
+  }
+
+  // 2) TMS: resolve what FMS didn't know, then trace every PRO we have
+  let tmsMap = null;
+  let tmsFailure = null;
+  onProgress({ phase: "tms_trace", done: 0, total: entries.length });
+  try {
+    await authTms();
+
+    for (let round = 0; round < rounds; round++) {
+      const groups = groupByCandidate(entries, round, hits, "tmsFilter");
+      for (const [type, group] of groups) {
+        const found = await tmsLookup(type, group.map((e) => e.value));
+        for (const e of group) {
+          const rows = found.get(idKey(e.value));
+          if (rows) hits.set(e, { type, source: "tms", items: [], rows });
+        }
+      }
+    }
+
+    // FMS-resolved hits: TMS may group more shipments under the same value
+    // (PROs only TMS has under a PU, BOL or PO), so ask TMS by it too. A PRO
+    // can't add shipments, and its trace below covers it anyway.
+    const fmsGroups = new Map();
+    for (const [e, h] of hits) {
+      if (h.source !== "fms" || h.type === "pro" || !ROUTES[h.type].tmsFilter) continue;
+      if (!fmsGroups.has(h.type)) fmsGroups.set(h.type, []);
+      fmsGroups.get(h.type).push(e);
+    }
+    for (const [type, group] of fmsGroups) {
+      const found = await tmsLookup(type, group.map((e) => e.value));
+      for (const e of group) hits.get(e).rows = found.get(idKey(e.value)) || [];
+    }
+
+    // TMS-only hits: find their FMS side through the PRO
+    const tmsOnly = [...hits.values()].filter((h) => h.source === "tms");
+    const tmsPros = [...new Set(tmsOnly.flatMap((h) => h.rows.map((rw) => cleanPro(rw.tms_order_pro))))].filter(Boolean);
+    if (tmsPros.length && !fmsFailure) {
+      try {
+        const byPro = await fmsLookup("pro", tmsPros);
+        for (const h of tmsOnly) {
+          h.items = h.rows.flatMap((rw) => byPro.get(idKey(rw.tms_order_pro)) || []);
+        }
+      } catch (e) {
+        fmsFailure = systemFailure("fms", e, onWarning);
+      }
+    }
+
+    const allPros = new Set();
+    for (const h of hits.values()) {
+      for (const it of h.items) allPros.add(fmsItem(it).pro);
+      for (const rw of h.rows) allPros.add(cleanPro(rw.tms_order_pro));
+    }
+    allPros.delete("");
+    tmsMap = await tmsTraceForPros([...allPros]);
+  } catch (e) {
+    tmsFailure = systemFailure("tms", e, onWarning);
+    tmsMap = null;
+  }
+
+  // 3) One task per shipment each input resolved to
+  const tasks = entries.flatMap((entry) =>
+    shipmentsFor(entry, hits.get(entry)).map((shipment) => ({ entry, hit: hits.get(entry), shipment }))
+  );
+
+  const CONCURRENCY = 5;
+  const total = tasks.length;
+  let done = 0;
+  onProgress({ phase: "fms_details", done, total });
+
+  return runWithConcurrency(tasks, CONCURRENCY, async ({ entry, hit, shipment }, i) => {
+    const fmsRes = await fmsResultFor(shipment.DOs, fmsFailure, fields);
+    fmsRes.pu    = shipment.pu;
+
+    const tmsRes = tmsResultFor(tmsMap, shipment.pro, tmsFailure, fields);
+
+    const result = {
+      input: entry.input,
+      idType: hit?.type ?? null,
+      idCandidates: entry.candidates,
+      resolvedIn: hit?.source ?? null,
+      pro: shipment.pro,
+      pu: shipment.pu || tmsRes.pu || null,
+      fms: fmsRes,
+      tms: tmsRes,
+      ...compareLocations(fmsRes.loc, tmsRes.loc),
+      ...computeVerdict({ fms: fmsRes, tms: tmsRes })
+    };
+
+    onResult(result, i);
+    onProgress({ phase: "fms_details", done: ++done, total });
+    return result;
+  });
+}
+
+/**
+ * Group unresolved entries by their candidate type for this round,
+ * keeping only types the system can be searched by (`routeKey`).
+ */
+function groupByCandidate(entries, round, hits, routeKey) {
+  const groups = new Map();
+  for (const e of entries) {
+    if (hits.has(e)) continue;
+    const type = e.candidates[round];
+    if (!type || !ROUTES[type]?.[routeKey]) continue;
+    if (!groups.has(type)) groups.set(type, []);
+    groups.get(type).push(e);
+  }
+  return groups;
+}
+
+/**
+ * Search FMS for values of one identifier type.
+ * Returns a map of upper-cased value -> matching search items.
+ */
+async function fmsLookup(type, values) {
+  const route = ROUTES[type];
+  const found = new Map();
+  const add = (value, it) => {
+    const key = idKey(value);
+    if (!key || !fmsItem(it).DO) return;
+    if (!found.has(key)) found.set(key, []);
+    found.get(key).push(it);
+  };
+
+  if (route.byItem) {
+    const { items } = await fmsSearchOrders(route.fmsField, values);
+    for (const it of items) add(route.byItem(it), it);
+  } else {
+    await runWithConcurrency(values, LOOKUP_CONCURRENCY, async (v) => {
+      const { items } = await fmsSearchOrders(route.fmsField, [v]);
+      for (const it of items) add(v, it);
+    });
+  }
+  return found;
+}
+
+/**
+ * Trace TMS for values of one identifier type.
+ * Returns a map of upper-cased value -> matching trace rows.
+ */
+async function tmsLookup(type, values) {
+  const route = ROUTES[type];
+  const found = new Map();
+  const add = (value, rw) => {
+    const key = idKey(value);
+    if (!key) return;
+    if (!found.has(key)) found.set(key, []);
+    found.get(key).push(rw);
+  };
+
+  if (route.byRow) {
+    const rows = await tmsTraceBy(route.tmsFilter, values);
+    for (const rw of rows) add(route.byRow(rw), rw);
+  } else {
+    await runWithConcurrency(values, LOOKUP_CONCURRENCY, async (v) => {
+      const rows = await tmsTraceBy(route.tmsFilter, [v]);
+      for (const rw of rows) add(v, rw);
+    });
+  }
+  return found;
+}
+
+/**
+ * Shipments an input resolved to: one per PRO (all of its FMS DOs), plus
+ * TMS-only PROs. Unresolved inputs still yield one (empty) shipment so they show up.
+ */
+function shipmentsFor(entry, hit) {
+  const byKey = new Map();
+
+  for (const it of hit?.items || []) {
+    const { DO, pro, pu } = fmsItem(it);
+    const key = pro || DO;
+    if (!byKey.has(key)) byKey.set(key, { DOs: [], pro: pro || null, pu: pu || null });
+    const sh = byKey.get(key);
+    if (!sh.DOs.includes(DO)) sh.DOs.push(DO);
+  }
+  for (const rw of hit?.rows || []) {
+    const pro = cleanPro(rw.tms_order_pro);
+    if (!pro || byKey.has(pro)) continue;
+    byKey.set(pro, { DOs: [], pro, pu: null });
+  }
+
+  const shipments = [...byKey.values()];
+  if (!shipments.length) {
+    const pro = entry.candidates[0] === "pro" ? entry.value : null;
+    shipments.push({ DOs: [], pro, pu: entry.candidates[0] === "pu" ? entry.value : null });
+  }
+  return shipments;
+}
+
+/* ========================
+   MAIN ORCHESTRATION (SWEEP)
+======================== */
+
+// Dates a sweep can be limited by: FMS search field and TMS trace from/to filters
+export const SWEEP_DATES = {
+  pickup_requested:   { fms: "request_pickup_date",   tms: ["input_filter_pickup_from", "input_filter_pickup_to"] },
+  pickup:             { fms: "pickup_complete_date",  tms: ["input_filter_pickup_actual_from", "input_filter_pickup_actual_to"] },
+  delivery_requested: { fms: "desired_delivery_date", tms: ["input_filter_delivery_from", "input_filter_delivery_to"] },
+  delivery:           { fms: "delivery_date",         tms: ["input_filter_delivery_actual_from", "input_filter_delivery_actual_to"] }
+};
+
+const ISO_DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// 400 message for a bad [name, "YYYY-MM-DD"] from/to pair, or null
+function dateRangeError([fromName, from], [toName, to]) {
+  for (const [name, v] of [[fromName, from], [toName, to]]) {
+    if (v && !ISO_DAY_RE.test(v)) return `${name} must be a YYYY-MM-DD date`;
+  }
+  if (from && to && from > to) return `${fromName} must not be after ${toName}`;
+  return null;
+}
+
+/**
+ * Validate sweep criteria from a request body:
+ *   { terminal, statuses?: [FMS statuses], excludeDelivered?: bool,
+ *     dateField?: one of SWEEP_DATES, from?: "YYYY-MM-DD", to?: "YYYY-MM-DD" }
+ * Returns { sweep } or { error } (the 400 message). `sweep` stands in for
+ * prepareInputs() output; checkSweep() fills it with the PROs it finds.
+ */
+export function prepareSweep(body = {}) {
+  const terminal = canonicalTerminal(body.terminal);
+  if (!terminal) return { error: "terminal is required" };
+
+  const statuses = body.statuses ?? [];
+  if (!Array.isArray(statuses)) return { error: "statuses must be an array" };
+
+  const { dateField = null, from = null, to = null } = body;
+  if (dateField !== null && !SWEEP_DATES[dateField]) {
+    return { error: `dateField must be one of ${Object.keys(SWEEP_DATES).join(", ")}` };
+  }
+  if ((from || to) && !dateField) return { error: "dateField is required with from / to" };
+  const dateError = dateRangeError(["from", from], ["to", to]);
+  if (dateError) return { error: dateError };
+
+  const criteria = {
+    terminal,
+    statuses: [...new Set(statuses.map(clean).filter(Boolean))],
+    excludeDelivered: body.excludeDelivered === true,
+    dateField: from || to ? dateField : null,
+    from: from || null,
+    to: to || null
+  };
+  return { sweep: { criteria, unique: [], trimmed: [], meta: { sweep: criteria } } };
+}
+
+/**
+ * Trace TMS at a terminal. TMS files rows under its own terminal code
+ * ("SBFH-LAX" for LAX), so every registry alias is traced and rows repeated
+ * across aliases are kept once. Returns { rows, capped } like tmsTracePages.
+ */
+async function tmsTraceTerminal(terminal, filters) {
+  const rows = [];
+  const seen = new Set();
+  let capped = false;
+  for (const alias of terminalAliases(terminal)) {
+    const traced = await tmsTracePages({ ...filters, input_wa2: alias });
+    capped ||= traced.capped;
+    for (const rw of traced.rows) {
+      const id = rw.tms_order_id ?? null;
+      if (id !== null && seen.has(id)) continue;
+      if (id !== null) seen.add(id);
+      rows.push(rw);
+    }
+  }
+  return { rows, capped };
+}
+
+/**
+ * Reconcile everything at one terminal without an input list. FMS is
+ * searched by current location (all registry aliases), status and date; TMS
+ * traced by terminal and date, keeping rows whose location is the terminal
+ * and whose stage matches a chosen status. A PRO only one sweep returned is
+ * looked up by PRO in the other system, so shipments the two systems place
+ * at different terminals are compared too. Each result says which sweep
+ * found it: sweepSide is "both", "fms_only" or "tms_only" (null when a sweep
+ * failed). At most MAX_INPUTS shipments are checked, in PRO order; `sweep`
+ * (from prepareSweep) gets the PROs found and checked plus `meta.found`.
+ * meta.truncated.pages lists the systems whose sweep stopped at its page
+ * limit, so the shipments found there may be incomplete.
+ */
+export async function checkSweep(sweep, hooks = {}) {
+  assertFmsCredentials();
+  const { onProgress = () => {}, onResult = () => {}, onWarning = () => {}, fields = null } = hooks;
+  const { criteria } = sweep;
+  const date = SWEEP_DATES[criteria.dateField];
+
+  // 1) FMS: every order at the terminal
+  let fmsItems   = [];
+  let fmsFailure = null;
+  const capped   = [];
+  onProgress({ phase: "fms_auth", done: 0, total: 0 });
+  try {
+    await authFms();
+    onProgress({ phase: "fms_search", done: 0, total: 0 });
+    let fmsCapped;
+    ({ items: fmsItems, capped: fmsCapped } = await fmsSearchWhere({
+      current_locations: terminalAliases(criteria.terminal),
+      status: criteria.statuses,
+      ...(date ? { [date.fms]: [criteria.from || "", criteria.to || ""] } : {})
+    }));
+    if (fmsCapped) capped.push("fms");
+  } catch (e) {
+    fmsFailure = systemFailure("fms", e, onWarning);
+  }
+  const fmsSwept = fmsItems.length;
+
+  // 2) TMS: every row at the terminal, then where TMS has the FMS-only PROs
+  let tmsMap     = null;
+  let tmsFailure = null;
+  let tmsPros    = new Set();
+  onProgress({ phase: "tms_trace", done: 0, total: 0 });
+  try {
+    await authTms();
+    const { rows, capped: tmsCapped } = await tmsTraceTerminal(criteria.terminal, {
+      input_exclude_delivered: criteria.excludeDelivered ? "1" : "0",
+      ...(date ? { [date.tms[0]]: criteria.from || "", [date.tms[1]]: criteria.to || "" } : {})
+    });
+    if (tmsCapped) capped.push("tms");
+    tmsMap = new Map();
+    addTmsRows(tmsMap, rows.filter((rw) =>
+      canonicalTerminal(rw.wa2_code) === criteria.terminal &&
+      (!criteria.statuses.length || criteria.statuses.some((st) => statusesEquivalent("statuses", st, rw.tms_order_stage)))
+    ));
+    tmsPros = new Set(tmsMap.keys());
+
+    const fmsOnly = [...new Set(fmsItems.map((it) => fmsItem(it).pro))].filter((pro) => pro && !tmsPros.has(pro));
+    if (fmsOnly.length) addTmsRows(tmsMap, await tmsTraceBy("input_filter_pro", fmsOnly));
+  } catch (e) {
+    tmsFailure = systemFailure("tms", e, onWarning);
+    tmsMap = null;
+  }
+
+  // 3) FMS orders of the PROs only the TMS sweep returned
+  const fmsPros = new Set(fmsItems.map((it) => fmsItem(it).pro));
+  const tmsOnly = [...tmsPros].filter((pro) => !fmsPros.has(pro));
+  if (tmsOnly.length && !fmsFailure) {
+    try {
+      const { items } = await fmsSearchOrders("tracking_nos", tmsOnly);
+      fmsItems.push(...items.filter((it) => tmsOnly.includes(fmsItem(it).pro)));
+    } catch (e) {
+      fmsFailure = systemFailure("fms", e, onWarning);
+    }
+  }
+
+  // 4) One shipment per PRO (all of its DOs), or per DO without a PRO
+  const byKey = new Map();
+  const shipment = (key, pro) => {
+    if (!byKey.has(key)) byKey.set(key, { pro, DOs: [], pu: null, inFms: false, inTms: false });
+    return byKey.get(key);
+  };
+  fmsItems.forEach((it, i) => {
+    const { pro, DO, pu } = fmsItem(it);
+    if (!DO) return;
+    const sh = shipment(pro || DO, pro || null);
+    if (!sh.DOs.includes(DO)) sh.DOs.push(DO);
+    sh.pu = sh.pu || pu || null;
+    if (i < fmsSwept) sh.inFms = true;
+  });
+  for (const pro of tmsPros) shipment(pro, pro).inTms = true;
+
+  const keys = [...byKey.keys()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  const checked = keys.slice(0, MAX_INPUTS);
+  sweep.unique.push(...keys);
+  sweep.trimmed.push(...checked);
+  Object.assign(sweep.meta, {
+    received: keys.length,
+    checked: checked.length,
+    truncated: { count: keys.length - checked.length, limit: MAX_INPUTS, values: keys.slice(MAX_INPUTS), pages: capped },
+    found: {
+      fms: [...byKey.values()].filter((sh) => sh.inFms).length,
+      tms: tmsPros.size
+    }
+  });
+
+  const CONCURRENCY = 5;
+  const total = checked.length;
+  let done = 0;
+  onProgress({ phase: "fms_details", done, total });
+
+  return runWithConcurrency(checked, CONCURRENCY, async (key, i) => {
+    const sh = byKey.get(key);
+    const fmsRes = await fmsResultFor(sh.DOs, fmsFailure, fields);
+    fmsRes.pu    = sh.pu;
+
+    const tmsRes = tmsResultFor(tmsMap, sh.pro, tmsFailure, fields);
+
+    const result = {
+      pro: sh.pro,
+      pu: sh.pu || tmsRes.pu || null,
+      sweepSide: fmsFailure || tmsFailure ? null : sh.inFms && sh.inTms ? "both" : sh.inFms ? "fms_only" : "tms_only",
+      fms: fmsRes,
+      tms: tmsRes,
+      ...compareLocations(fmsRes.loc, tmsRes.loc),
+      ...computeVerdict({ fms: fmsRes, tms: tmsRes })
+    };
+
+    onResult(result, i);
+    onProgress({ phase: "fms_details", done: ++done, total });
+    return result;
+  });
+}
+
+/* ========================
+   TMS ORPHANS (REVERSE)
+======================== */
+
+/**
+ * Validate an orphan report query from a request body:
+ *   { terminal?, stages?: [TMS stages or FMS statuses],
+ *     statuses?: [TMS statuses or FMS substatuses],
+ *     createdFrom?: "YYYY-MM-DD", createdTo?: "YYYY-MM-DD" }
+ * A terminal or a create-date bound is required so the trace stays bounded.
+ * Returns { orphans } or { error }; like a sweep, `orphans` stands in for
+ * prepareInputs() output and findTmsOrphans() fills it.
+ */
+export function prepareOrphans(body = {}) {
+  const terminal = canonicalTerminal(body.terminal);
+  const lists = {};
+  for (const name of ["stages", "statuses"]) {
+    const values = body[name] ?? [];
+    if (!Array.isArray(values)) return { error: `${name} must be an array` };
+    lists[name] = [...new Set(values.map(clean).filter(Boolean))];
+  }
+
+  const { createdFrom = null, createdTo = null } = body;
+  const dateError = dateRangeError(["createdFrom", createdFrom], ["createdTo", createdTo]);
+  if (dateError) return { error: dateError };
+  if (!terminal && !createdFrom && !createdTo) {
+    return { error: "terminal or a createdFrom / createdTo date is required" };
+  }
+
+  const criteria = { terminal, ...lists, createdFrom: createdFrom || null, createdTo: createdTo || null };
+  return { orphans: { criteria, unique: [], trimmed: [], meta: { orphans: criteria } } };
+}
+
+/**
+ * Reverse reconciliation: start from a TMS trace query (terminal, create
+ * date; stages and statuses are matched on the returned rows) and search FMS
+ * for every PRO traced. Only problems are returned, one per TMS order:
+ *   verdict "missing_in_fms"  FMS has no DO for the PRO
+ *   verdict "pu_mismatch"     FMS DOs group the PRO under another PU than
+ *                             fk_tms_order_group_id (fms.orders lists them)
+ * At most MAX_INPUTS PROs are searched, in PRO order. `orphans` (from
+ * prepareOrphans) gets the PROs traced and meta.counts, including the TMS
+ * orders without a PRO, which can't be searched; meta.truncated.pages is
+ * ["tms"] when the trace stopped at its page limit.
+ */
+export async function findTmsOrphans(orphans, hooks = {}) {
+  assertFmsCredentials();
+  const { onProgress = () => {}, onResult = () => {}, onWarning = () => {} } = hooks;
+  const { criteria } = orphans;
+
+  // 1) TMS: every order the query returns
+  let rows;
+  let capped;
+  onProgress({ phase: "tms_trace", done: 0, total: 0 });
+  try {
+    await authTms();
+    const dates = {
+      input_filter_create_date_from: criteria.createdFrom || "",
+      input_filter_create_date_to: criteria.createdTo || ""
+    };
+    ({ rows, capped } = criteria.terminal
+      ? await tmsTraceTerminal(criteria.terminal, dates)
+      : await tmsTracePages({ ...dates, input_wa2: "0" }));
+  } catch (e) {
+    systemFailure("tms", e, onWarning);
+    return [];
+  }
+  // A stage or status may be given by its TMS or its FMS name
+  const listed = (kind, list, v) => !list.length || list.some((x) => statusesEquivalent(kind, x, v));
+  rows = rows.filter((rw) =>
+    (!criteria.terminal || canonicalTerminal(rw.wa2_code) === criteria.terminal) &&
+    listed("statuses", criteria.stages, rw.tms_order_stage) &&
+    listed("substatuses", criteria.statuses, rw.tms_order_status)
+  );
+
+  const tmsMap = new Map();
+  addTmsRows(tmsMap, rows);
+  const pros    = [...tmsMap.keys()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  const checked = pros.slice(0, MAX_INPUTS);
+  orphans.unique.push(...pros);
+  orphans.trimmed.push(...checked);
+  const counts = {
+    traced: rows.length,
+    noPro: rows.filter((rw) => !cleanPro(rw.tms_order_pro)).map((rw) => rw.tms_order_id ?? null),
+    missingInFms: 0,
+    puMismatch: 0
+  };
+  Object.assign(orphans.meta, {
+    received: pros.length,
+    checked: checked.length,
+    truncated: { count: pros.length - checked.length, limit: MAX_INPUTS, values: pros.slice(MAX_INPUTS), pages: capped ? ["tms"] : [] },
+    counts
+  });
+
+  // 2) FMS: search every traced PRO by tracking number
+  let items;
+  onProgress({ phase: "fms_auth", done: 0, total: checked.length });
+  try {
+    await authFms();
+    onProgress({ phase: "fms_search", done: 0, total: checked.length });
+    ({ items } = await fmsSearchOrders("tracking_nos", checked));
+  } catch (e) {
+    systemFailure("fms", e, onWarning);
+    return [];
+  }
+  const ordersByPro = new Map();
+  for (const it of items) {
+    const { pro, DO, pu } = fmsItem(it);
+    if (!pro || !DO) continue;
+    const list = ordersByPro.get(pro) || [];
+    if (!list.some((o) => o.DO === DO)) list.push({ DO, pu: pu || null });
+    ordersByPro.set(pro, list);
+  }
+
+  // 3) One result per TMS order FMS lacks, or groups under another PU
+  const results = [];
+  for (const pro of checked) {
+    const orders = ordersByPro.get(pro) || [];
+    for (const rw of tmsMap.get(pro)) {
+      const tmsPu = cleanPu(rw.fk_tms_order_group_id) || null;
+      const other = orders.filter((o) => idKey(o.pu) !== idKey(tmsPu));
+      if (orders.length && !other.length) continue;
+
+      const result = {
+        pro,
+        pu: tmsPu,
+        fms: {
+          hasDO: orders.length > 0,
+          DO: orders[0]?.DO ?? null,
+          DOs: orders.map((o) => o.DO),
+          pu: orders[0]?.pu ?? null,
+          orders,
+          error: orders.length ? null : notFoundError("fms", FMS_SEARCH_ENDPOINT, "No FMS order for this TMS PRO")
+        },
+        tms: {
+          orderId: rw.tms_order_id ?? null,
+          loc: rw.wa2_code ?? null,
+          status: rw.tms_order_stage ?? null,
+          substatus: rw.tms_order_status ?? null,
+          pu: tmsPu,
+          error: null
+        },
+        verdict: orders.length ? "pu_mismatch" : "missing_in_fms",
+        verdictReason: orders.length
+          ? `FMS has ${other.map((o) => `${o.DO} under PU ${o.pu || "(none)"}`).join(", ")}; TMS PU ${tmsPu || "(none)"}`
+          : "No FMS order for this TMS PRO"
+      };
+      counts[orders.length ? "puMismatch" : "missingInFms"]++;
+      onResult(result, results.length);
+      results.push(result);
+    }
+  }
+  return results;
+}
+
+/* ========================
+   FMS MAPPING
+======================== */
+// Helper: the identifiers carried by one FMS search item
+function fmsItem(it) {
+  return {
+    pro: cleanPro(it.tracking_no ?? it.trackingNo ?? ""),
+    DO:  clean(it.order_no ?? it.orderNo ?? ""),
+    pu:  cleanPu(it.reference5 ?? it.pu_no ?? it.puNo ?? "")
+  };
+}
+
+function buildFmsMap(searchJson) {
+  const mapByPro = {};
+  const proToPu  = {};
+
+  let items = [];
+  if (Array.isArray(searchJson?.items)) {
+    items = searchJson.items;
+  } else if (Array.isArray(searchJson?.data?.items)) {
+    items = searchJson.data.items;
+  }
+
+  for (const it of items) {
+    const pro   = cleanPro(it.tracking_no ?? it.trackingNo ?? "");
+    const order = String(it.order_no ?? it.orderNo ?? "").trim();
+    const pu    = cleanPu(it.reference5 ?? it.pu_no ?? it.puNo ?? "");
+
+    // Keep every DO per PRO; more than one is flagged as a duplicate later
+    if (/^\d{6,14}$/.test(pro) && /^DO\d{6,}$/.test(order)) {
+      const list = mapByPro[pro] || (mapByPro[pro] = []);
+      if (!list.includes(order)) list.push(order);
+      if (pu && !proToPu[pro]) {
+        proToPu[pro] = pu;
+      }
+    }
+  }
+  return { mapByPro, proToPu };
+}
+
+/**
+ * Build PU -> [{ DO, pro }] map (every order under each PU, one per DO)
+ * and gather the unique PRO list from FMS search response.
+ */
+function buildFmsMapByPu(searchJson) {
+  const mapByPu = {};
+  const proSet = new Set();
+
+  let items = [];
+  if (Array.isArray(searchJson?.items)) items = searchJson.items;
+  else if (Array.isArray(searchJson?.data?.items)) items = searchJson.data.items;
+
+  for (const it of items) {
+    const pu   = cleanPu(it.reference5 ?? it.pu_no ?? it.puNo ?? "");
+    const pro  = cleanPro(it.tracking_no ?? it.trackingNo ?? "");
+    const order = String(it.order_no ?? it.orderNo ?? "").trim();
+
+    if (!pu) continue;
+    if (!order) continue;
+
+    // Collect mapping (by idKey, as the input and TMS are matched) and PRO list for TMS lookup
+    const key  = idKey(pu);
+    const list = mapByPu[key] || (mapByPu[key] = []);
+    if (!list.some((e) => e.DO === order)) {
+      list.push({ DO: order, pro: pro || null });
+    }
+
+    if (pro) {
+      proSet.add(pro);
+    }
+  }
+
+  return {
+    mapByPu,
+    uniquePros: Array.from(proSet)
+  };
+}
@@ -0,0 +1,292 @@
+// lib/detail.js
+// Full FMS and TMS records for one shipment, side by side, for the detail view.
+//
+// The check endpoints reduce each system to a few fields; this keeps
+// everything. FMS contributes the search item plus the orderbasic and headinfo
+// payloads of the DO, TMS the full trace row. Each record is flattened to
+// "path": value pairs, and the fields both systems report are compared using a
+// mapping table (config/detail-fields.json, or DETAIL_FIELDS_PATH if set).
+//
+// Mapping shape:
+//   { fields: [{ key, label, compare, fms: [paths], tms: [paths] }] }
+// FMS paths start with search., basic. or head.; TMS paths name trace row
+// columns. The first path with a value wins. compare is one of
+// text | number | date | terminal | status | substatus.
+//
+// The same mapping names the extra `fields` check requests can ask for.
+
+import { readFileSync } from "node:fs";
+import { fetchFmsOrder, fmsSearchOrders, FMS_SEARCH_ENDPOINT } from "./fms.js";
+import { tmsTraceForPros, TMS_TRACE_ENDPOINT } from "./tms.js";
+import { errorInfo, notFoundError } from "./errors.js";
+import { compareLocations } from "./terminals.js";
+import { statusesEquivalent } from "./verdict.js";
+
+const DEFAULT_FIELDS_URL = new URL("../config/detail-fields.json", import.meta.url);
+
+// Helper: case/whitespace-insensitive text compare
+const norm = (v) => String(v ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+const clean = (v) => String(v ?? "").trim();
+
+let FIELDS = null;
+
+/**
+ * Load (and cache) the FMS/TMS field mapping.
+ */
+export function loadDetailFields(force = false) {
+  if (FIELDS && !force) return FIELDS;
+
+  const path = process.env.DETAIL_FIELDS_PATH || DEFAULT_FIELDS_URL;
+  let raw = {};
+  try {
+    raw = JSON.parse(readFileSync(path, "utf8"));
+  } catch (e) {
+    console.warn("Detail field mapping not loaded:", e?.message || e);
+  }
+
+  FIELDS = (Array.isArray(raw.fields) ? raw.fields : [])
+    .filter((f) => f?.key)
+    .map((f) => ({
+      key: f.key,
+      label: f.label || f.key,
+      compare: f.compare || "text",
+      fms: [].concat(f.fms ?? []),
+      tms: [].concat(f.tms ?? [])
+    }));
+  return FIELDS;
+}
+
+/* ========================
+   NORMALIZATION
+======================== */
+/**
+ * Flatten a payload into { "a.b": value } pairs. Arrays of plain values are
+ * joined; arrays of objects get indexed paths ("stops[0].city").
+ */
+export function flattenRecord(obj, prefix = "", out = {}) {
+  if (obj == null || typeof obj !== "object") {
+    if (prefix) out[prefix] = obj ?? null;
+    return out;
+  }
+  if (Array.isArray(obj)) {
+    if (obj.every((v) => v == null || typeof v !== "object")) {
+      out[prefix] = obj.filter((v) => v != null).join(", ");
+    } else {
+      obj.forEach((v, i) => flattenRecord(v, `${prefix}[${i}]`, out));
+    }
+    return out;
+  }
+  for (const [k, v] of Object.entries(obj)) {
+    flattenRecord(v, prefix ? `${prefix}.${k}` : k, out);
+  }
+  return out;
+}
+
+// First mapped path with a non-blank value
+function pick(record, paths) {
+  for (const p of paths) {
+    const v = record[p];
+    if (v != null && clean(v) !== "") return { path: p, value: v };
+  }
+  return { path: null, value: null };
+}
+
+// Numeric value of "1,200", "1200 lbs" or 12.5; null for blanks and text like "N/A" or "-"
+const asNumber = (v) => {
+  const m = String(v ?? "").replace(/,/g, "").trim().match(/^-?(\d+\.?\d*|\.\d+)/);
+  return m ? Number(m[0]) : null;
+};
+
+const ymd = (y, m, d) => `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+
+// Calendar day of a date/time value, so "2024-05-01 08:00" equals "05/01/2024".
+// The day is read as written, never shifted through UTC.
+const asDay = (v) => {
+  const s = String(v ?? "").trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?=$|[T\s])/);
+  if (m) return ymd(m[1], m[2], m[3]);
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?=$|\s)/);
+  if (m) return ymd(m[3], m[1], m[2]);
+  // Other spellings ("May 1, 2024"): local calendar fields, no UTC conversion
+  const d = s ? new Date(s) : null;
+  return d && !Number.isNaN(d.getTime()) ? ymd(d.getFullYear(), d.getMonth() + 1, d.getDate()) : null;
+};
+
+const COMPARERS = {
+  text:      (f, t) => norm(f) === norm(t),
+  number:    (f, t) => asNumber(f) !== null && asNumber(t) !== null && Math.abs(asNumber(f) - asNumber(t)) < 0.01,
+  date:      (f, t) => asDay(f) !== null ? asDay(f) === asDay(t) : norm(f) === norm(t),
+  terminal:  (f, t) => compareLocations(f, t).locationMatch === true,
+  status:    (f, t) => statusesEquivalent("statuses", f, t),
+  substatus: (f, t) => statusesEquivalent("substatuses", f, t)
+};
+
+/**
+ * Compare the mapped fields of a flattened FMS record and TMS row.
+ * same is null when either side has no value to compare.
+ */
+export function compareDetailFields(fmsRecord, tmsRecord, fields = loadDetailFields()) {
+  return fields.map((f) => {
+    const fv = pick(fmsRecord || {}, f.fms);
+    const tv = pick(tmsRecord || {}, f.tms);
+    const same = fv.value == null || tv.value == null
+      ? null
+      : (COMPARERS[f.compare] || COMPARERS.text)(fv.value, tv.value);
+    return {
+      key: f.key,
+      label: f.label,
+      fms: fv.value,
+      tms: tv.value,
+      fmsPath: fv.path,
+      tmsPath: tv.path,
+      same
+    };
+  });
+}
+
+/* ========================
+   EXTRA RESULT FIELDS
+======================== */
+// Fields a check request may ask for, so results stay reasonably small
+export const MAX_EXTRA_FIELDS = Number(process.env.MAX_EXTRA_FIELDS) || 20;
+
+// Raw names: a TMS trace row column, or a path in the FMS detail payloads
+const RAW_TMS_RE = /^tms\.([\w.[\]-]+)$/;
+const RAW_FMS_RE = /^fms\.((?:basic|head)\.[\w.[\]-]+)$/;
+
+/**
+ * Resolve the `fields` a check request asks for. A name is either a key of
+ * the field mapping ("pieces": both systems' value) or a raw path
+ * ("tms.consignee_city", "fms.basic.total_weight"; one system).
+ * Returns { fields: [{ name, label, fms, tms }], invalid: [names] }.
+ * Only the FMS detail payloads (basic./head.) are read during a check.
+ */
+export function resolveExtraFields(names, mapping = loadDetailFields()) {
+  const fields = [];
+  const invalid = [];
+  for (const raw of [].concat(names ?? [])) {
+    const name = clean(raw);
+    if (!name || fields.some((f) => f.name === name)) continue;
+    const mapped = mapping.find((f) => f.key === name);
+    const tms = name.match(RAW_TMS_RE);
+    const fms = name.match(RAW_FMS_RE);
+    if (mapped) {
+      fields.push({
+        name,
+        label: mapped.label,
+        fms: mapped.fms.filter((p) => /^(basic|head)\./.test(p)),
+        tms: mapped.tms
+      });
+    } else if (tms) {
+      fields.push({ name, label: tms[1], fms: [], tms: [tms[1]] });
+    } else if (fms) {
+      fields.push({ name, label: fms[1], fms: [fms[1]], tms: [] });
+    } else {
+      invalid.push(name);
+    }
+  }
+  return { fields, invalid };
+}
+
+/**
+ * Validate the `fields` body parameter of a check endpoint.
+ * Returns { fields } or { error } (the 400 message).
+ */
+export function extraFieldsParam(value) {
+  if (value == null) return { fields: [] };
+  if (!Array.isArray(value)) return { error: "fields must be an array of field names" };
+
+  const { fields, invalid } = resolveExtraFields(value);
+  if (invalid.length) {
+    return { error: `Unknown fields: ${invalid.join(", ")} (use a mapped key, tms.<column>, fms.basic.<path> or fms.head.<path>)` };
+  }
+  if (fields.length > MAX_EXTRA_FIELDS) {
+    return { error: `At most ${MAX_EXTRA_FIELDS} fields can be requested` };
+  }
+  return { fields };
+}
+
+/**
+ * Values of the extra fields one system provides, from its flattened record:
+ * { name: value | null }, or null when no requested field reads this system.
+ */
+export function pickExtraFields(fields, side, record) {
+  const own = (fields || []).filter((f) => f[side].length);
+  if (!own.length) return null;
+  return Object.fromEntries(own.map((f) => [f.name, record ? pick(record, f[side]).value : null]));
+}
+
+/* ========================
+   LOOKUP
+======================== */
+async function fmsDetailFor(pro, wantDO) {
+  let items;
+  try {
+    ({ items } = await fmsSearchOrders("tracking_nos", [pro]));
+  } catch (e) {
+    return { error: errorInfo(e, { system: "fms", endpoint: FMS_SEARCH_ENDPOINT }) };
+  }
+
+  const matches = items.filter((it) => clean(it.tracking_no ?? it.trackingNo) === pro);
+  const DOs = [...new Set(matches.map((it) => clean(it.order_no ?? it.orderNo)).filter(Boolean))];
+  if (!DOs.length) {
+    return { DOs, error: notFoundError("fms", FMS_SEARCH_ENDPOINT, "No FMS order for this PRO") };
+  }
+
+  const DO = wantDO && DOs.includes(wantDO) ? wantDO : DOs[0];
+  const item = matches.find((it) => clean(it.order_no ?? it.orderNo) === DO);
+  let order;
+  try {
+    order = await fetchFmsOrder(DO);
+  } catch (e) {
+    return { DO, DOs, error: errorInfo(e, { system: "fms" }) };
+  }
+
+  const record = {
+    ...flattenRecord(item, "search"),
+    ...flattenRecord(order.basic ?? {}, "basic"),
+    ...flattenRecord(order.head ?? {}, "head")
+  };
+  return {
+    DO,
+    DOs,
+    record,
+    partial: !!(order.basicError || order.headError),
+    errors: { basic: order.basicError, head: order.headError },
+    error: order.basicError && order.headError ? order.basicError : null
+  };
+}
+
+async function tmsDetailFor(pro, wantOrder) {
+  let rows;
+  try {
+    rows = (await tmsTraceForPros([pro])).get(pro) || [];
+  } catch (e) {
+    return { error: errorInfo(e, { system: "tms", endpoint: TMS_TRACE_ENDPOINT }) };
+  }
+
+  const orderIds = rows.map((rw) => clean(rw.tms_order_id)).filter(Boolean);
+  if (!rows.length) {
+    return { orderIds, error: notFoundError("tms", TMS_TRACE_ENDPOINT, "No TMS order for this PRO") };
+  }
+  const row = rows.find((rw) => clean(rw.tms_order_id) === wantOrder) || rows[0];
+  return { orderId: clean(row.tms_order_id) || null, orderIds, record: flattenRecord(row), error: null };
+}
+
+/**
+ * Everything both systems hold for one PRO.
+ * `DO` / `orderId` pick a specific record when a system has several.
+ * Returns { pro, fms, tms, fields, differences } where fms/tms carry the
+ * flattened record (or an error) and fields the mapped comparison.
+ */
+export async function shipmentDetail(pro, { DO = null, orderId = null } = {}) {
+  const [fms, tms] = await Promise.all([fmsDetailFor(pro, DO), tmsDetailFor(pro, orderId)]);
+  const fields = compareDetailFields(fms.record, tms.record);
+  return {
+    pro,
+    fms,
+    tms,
+    fields,
+    differences: fields.filter((f) => f.same === false).length
+  };
+}
@@ -0,0 +1,74 @@
+// lib/errors.js
+// Structured errors for FMS/TMS sub-results and system-wide warnings.
+//
+// Every failure is reported as a plain object:
+//   { code, system, endpoint, status, message }
+// code: auth_failed | timeout | http_error | parse_error | not_found | upstream_unavailable
+
+import { AuthExpiredError } from "./sessions.js";
+import { CircuitOpenError, UpstreamTimeoutError } from "./upstream.js";
+
+export const ERROR_CODES = [
+  "auth_failed",
+  "timeout",
+  "http_error",
+  "parse_error",
+  "not_found",
+  "upstream_unavailable"
+];
+
+/**
+ * An upstream failure with a known code; thrown by the FMS/TMS clients.
+ */
+export class UpstreamError extends Error {
+  constructor(code, { system, endpoint = null, status = null, message } = {}) {
+    super(message || `${system} ${code}`);
+    this.name = "UpstreamError";
+    this.code = code;
+    this.system = system;
+    this.endpoint = endpoint;
+    this.status = status;
+  }
+}
+
+function codeOf(e) {
+  if (e instanceof UpstreamError) return e.code;
+  if (e instanceof AuthExpiredError) return "auth_failed";
+  if (e instanceof UpstreamTimeoutError) return "timeout";
+  if (e instanceof CircuitOpenError || e?.name === "TypeError") return "upstream_unavailable";
+  if (e instanceof SyntaxError) return "parse_error";
+  return "upstream_unavailable";
+}
+
+/**
+ * Structured error object for any thrown error. `defaults` fills the
+ * system/endpoint when the error itself doesn't carry them.
+ */
+export function errorInfo(e, defaults = {}) {
+  return {
+    code: codeOf(e),
+    system: e?.system ?? defaults.system ?? null,
+    endpoint: e?.endpoint ?? defaults.endpoint ?? null,
+    status: e?.status ?? null,
+    message: e?.message || String(e)
+  };
+}
+
+export function notFoundError(system, endpoint, message) {
+  return { code: "not_found", system, endpoint, status: null, message };
+}
+
+/**
+ * Short human text for an error object ("timed out", "HTTP 502", ...).
+ */
+export function describeError(err) {
+  switch (err?.code) {
+    case "auth_failed":          return "login failed";
+    case "timeout":              return "timed out";
+    case "http_error":           return err.status ? `HTTP ${err.status}` : "HTTP error";
+    case "parse_error":          return "unreadable response";
+    case "not_found":            return "not found";
+    case "upstream_unavailable": return "unavailable";
+    default:                     return "failed";
+  }
+}
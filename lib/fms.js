@@ -0,0 +1,291 @@
+// lib/fms.js
+// FMS client shared by the check endpoints: login, paged order search, DO details.
+//
+// Calls run through a cached session (FMS_SESSION_TTL_MS) that logs in again
+// and replays the call once when FMS answers 401/403, and over the shared
+// upstream client (timeouts, retries, circuit breaker).
+
+import { AuthExpiredError, createSession } from "./sessions.js";
+import { createUpstream } from "./upstream.js";
+import { UpstreamError, errorInfo } from "./errors.js";
+
+/* ========================
+   CONFIG
+======================== */
+const FMS_BASE       = process.env.FMS_BASE_URL   || "https://fms.item.com";
+const FMS_COMPANY_ID = process.env.FMS_COMPANY_ID || "SBFH";
+const FMS_CLIENT     = process.env.FMS_CLIENT     || "FMS_WEB";
+const FMS_USER       = process.env.FMS_USER;
+const FMS_PASS       = process.env.FMS_PASS;
+
+const FMS_LOGIN_PATH  = "/fms-platform-user/Auth/Login";
+const FMS_SEARCH_PATH = "/fms-platform-order/shipment-orders/query";
+const FMS_BASIC_PATH  = "/fms-platform-order/shipper/getshipment-orderbasic/";
+const FMS_HEAD_PATH   = "/fms-platform-order/shipper/getshipment-orderbasic-headinfo/";
+
+const FMS_LOGIN_URL   = `${FMS_BASE}${FMS_LOGIN_PATH}`;
+const FMS_SEARCH_URL  = `${FMS_BASE}${FMS_SEARCH_PATH}`;
+const FMS_ORDER_BASIC = `${FMS_BASE}${FMS_BASIC_PATH}`;
+const FMS_ORDER_HEAD  = `${FMS_BASE}${FMS_HEAD_PATH}`;
+
+// Endpoint reported for a DO that FMS search didn't return
+export const FMS_SEARCH_ENDPOINT = FMS_SEARCH_PATH;
+
+// Identifiers sent per search request, and rows asked for per page
+const FMS_SEARCH_BATCH = 150;
+const FMS_PAGE_SIZE    = 150;
+// Safety stop so a bad total_count can't page forever
+const FMS_MAX_PAGES    = 100;
+
+const FMS_SESSION_TTL_MS = Number(process.env.FMS_SESSION_TTL_MS) || 60 * 60 * 1000;
+// Per-attempt timeout for every FMS call
+const FMS_TIMEOUT_MS     = Number(process.env.FMS_TIMEOUT_MS) || 15 * 1000;
+
+const fmsHttp = createUpstream("fms", { timeoutMs: FMS_TIMEOUT_MS });
+
+export function assertFmsCredentials() {
+  if (!FMS_USER || !FMS_PASS) {
+    throw new Error("Missing FMS_USER / FMS_PASS in environment");
+  }
+}
+
+/* ========================
+   AUTH / SESSION
+======================== */
+async function loginFms() {
+  const r = await fmsHttp.call(FMS_LOGIN_URL, {
+    method: "POST",
+    headers: {
+      "fms-client": FMS_CLIENT,
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({ account: FMS_USER, password: FMS_PASS })
+  }, { call: "login" });
+
+  if (!r.ok) throw fmsError("auth_failed", FMS_LOGIN_PATH, `FMS auth HTTP ${r.status}`, r.status);
+  const j = await r.json().catch(() => ({}));
+  const token = j.token || j?.data?.token || j?.result?.token || "";
+  if (!token) throw fmsError("auth_failed", FMS_LOGIN_PATH, "FMS auth: no token returned");
+  return token;
+}
+
+export const fmsSession = createSession("fms", loginFms, FMS_SESSION_TTL_MS);
+
+export function authFms(force = false) {
+  return fmsSession.get(force);
+}
+
+// Helper: an expired/rejected FMS token
+function assertFmsAuthorized(r) {
+  if (r.status === 401 || r.status === 403) {
+    throw new AuthExpiredError("fms", `FMS rejected token (HTTP ${r.status})`);
+  }
+}
+
+function fmsError(code, endpoint, message, status = null) {
+  return new UpstreamError(code, { system: "fms", endpoint, status, message });
+}
+
+// Helper: parse a JSON body, reporting a bad one as parse_error
+async function readJson(r, endpoint) {
+  try {
+    return await r.json();
+  } catch {
+    throw fmsError("parse_error", endpoint, `FMS returned invalid JSON (HTTP ${r.status})`, r.status);
+  }
+}
+
+/* ========================
+   SEARCH
+======================== */
+function searchBody(filters, page_number, page_size) {
+  return {
+    bill_to_accounts: [], bols: [], business_client: "",
+    consignee_state: [], consignee_terminals: [], consignee_zip_codes: [],
+    current_locations: [], customer_references: [], delayed: false,
+    delivery_appointment: [], delivery_date: [], desired_delivery_date: [],
+    exception: false, hold: false, lh_eta_date: [], lh_etd_date: [],
+    lhs: [], master_order_ids: [], order_nos: [], origin_states: [],
+    origin_zip_codes: [], page_number, page_size,
+    pickup_appointment: [], pickup_complete_date: [], po_nos: [], pu_nos: [],
+    record_status: "0", request_pickup_date: [], service_levels: [],
+    service_terminals: [], shipment_types: [], shipper_terminals: [],
+    status: [], sub_status: [], tracking_nos: [], trips: [],
+    ...filters
+  };
+}
+
+function searchItems(searchJson) {
+  if (Array.isArray(searchJson?.items)) return searchJson.items;
+  if (Array.isArray(searchJson?.data?.items)) return searchJson.data.items;
+  return [];
+}
+
+function searchTotal(searchJson) {
+  const t = searchJson?.total_count ?? searchJson?.totalCount ?? searchJson?.total
+    ?? searchJson?.data?.total_count ?? searchJson?.data?.totalCount ?? searchJson?.data?.total;
+  const n = Number(t);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/**
+ * Run one search filter through every result page. Returns { items, capped };
+ * capped is true when FMS_MAX_PAGES full pages were read and more may exist.
+ */
+async function fmsSearchPages(filters) {
+  const items = [];
+  for (let page = 1; ; page++) {
+    const j = await fmsSession.run(async (token) => {
+      const r = await fmsHttp.call(FMS_SEARCH_URL, {
+        method: "POST",
+        headers: {
+          "fms-client": FMS_CLIENT,
+          "fms-token": token,
+          "Content-Type": "application/json",
+          "Company-Id": FMS_COMPANY_ID
+        },
+        body: JSON.stringify(searchBody(filters, page, FMS_PAGE_SIZE))
+      }, { call: `search page ${page}` });
+
+      assertFmsAuthorized(r);
+      if (!r.ok) throw fmsError("http_error", FMS_SEARCH_PATH, `FMS search HTTP ${r.status}`, r.status);
+      return readJson(r, FMS_SEARCH_PATH);
+    });
+    const pageItems = searchItems(j);
+    items.push(...pageItems);
+
+    const total = searchTotal(j);
+    if (pageItems.length < FMS_PAGE_SIZE) break;
+    if (total !== null && items.length >= total) break;
+    if (page === FMS_MAX_PAGES) {
+      console.warn(`FMS search stopped at the ${FMS_MAX_PAGES} page limit`);
+      return { items, capped: true };
+    }
+  }
+  return { items, capped: false };
+}
+
+/**
+ * Search FMS orders by a list field (tracking_nos, pu_nos, ...).
+ * Large lists are split into batches and every page of each batch is read,
+ * so the caller gets all matches as { items } regardless of input size.
+ */
+export async function fmsSearchOrders(field, values) {
+  const items = [];
+  for (let i = 0; i < values.length; i += FMS_SEARCH_BATCH) {
+    const batch = values.slice(i, i + FMS_SEARCH_BATCH);
+    items.push(...(await fmsSearchPages({ [field]: batch })).items);
+  }
+  return { items };
+}
+
+/**
+ * Search FMS orders by arbitrary search filters (current_locations, status,
+ * date ranges, ...), reading every result page. Returns { items, capped }
+ * (see fmsSearchPages).
+ */
+export async function fmsSearchWhere(filters) {
+  return fmsSearchPages(filters);
+}
+
+/* ========================
+   DO DETAILS
+======================== */
+/**
+ * Location and statuses of one DO. With `raw`, the full orderbasic and
+ * headinfo payloads are kept as `raw: { basic, head }` too (for extra fields).
+ * A login FMS still rejects after the re-login is reported on the DO as an
+ * auth_failed error, like any other failed detail call.
+ */
+export async function fetchFmsDetails(DO, { raw = false } = {}) {
+  try {
+    return await fmsSession.run((token) => fetchFmsDetailsWith(token, DO, raw));
+  } catch (e) {
+    if (!(e instanceof AuthExpiredError)) throw e;
+    return {
+      ok: false, loc: null, status: null, substatus: null,
+      basicOk: false, headOk: false, partial: false,
+      error: errorInfo(e, { system: "fms", endpoint: FMS_BASIC_PATH }),
+      ...(raw ? { raw: { basic: null, head: null } } : {})
+    };
+  }
+}
+
+/**
+ * Full orderbasic and headinfo payloads for one DO (unreduced), for the
+ * shipment detail view. Returns { basic, head, basicError, headError }; a
+ * failed call leaves its payload null and reports a structured error.
+ */
+export function fetchFmsOrder(DO) {
+  return fmsSession.run(async (token) => {
+    const [basic, head] = await Promise.all([
+      fmsOrderPart(token, FMS_ORDER_BASIC, FMS_BASIC_PATH, DO, "basic"),
+      fmsOrderPart(token, FMS_ORDER_HEAD, FMS_HEAD_PATH, DO, "headinfo")
+    ]);
+    return { basic: basic.root, head: head.root, basicError: basic.error, headError: head.error };
+  });
+}
+
+function detailHeaders(token) {
+  return {
+    "accept": "application/json, text/plain, */*",
+    "fms-client": FMS_CLIENT,
+    "fms-token": token,
+    "company-id": FMS_COMPANY_ID
+  };
+}
+
+/**
+ * One DO detail call. Resolves to { root, error }: the payload's data object,
+ * or a structured error. Expired logins still throw so the session re-logs in.
+ */
+async function fmsOrderPart(token, baseUrl, path, DO, name) {
+  try {
+    const r = await fmsHttp.call(baseUrl + encodeURIComponent(DO), {
+      method: "GET",
+      headers: detailHeaders(token)
+    }, { call: `${name} ${DO}` });
+    assertFmsAuthorized(r);
+    if (!r.ok) throw fmsError("http_error", path, `FMS order ${name} HTTP ${r.status}`, r.status);
+    const j = await readJson(r, path);
+    return { root: j?.data || j, error: null };
+  } catch (e) {
+    if (e instanceof AuthExpiredError) throw e;
+    return { root: null, error: errorInfo(e, { system: "fms", endpoint: path }) };
+  }
+}
+
+async function fetchFmsDetailsWith(token, DO, keepRaw = false) {
+  // /getshipment-orderbasic, then /getshipment-orderbasic-headinfo
+  const basic = await fmsOrderPart(token, FMS_ORDER_BASIC, FMS_BASIC_PATH, DO, "basic");
+  const head  = await fmsOrderPart(token, FMS_ORDER_HEAD, FMS_HEAD_PATH, DO, "headinfo");
+  const basicErr = basic.error, headErr = head.error;
+
+  const loc           = basic.root?.current_location ?? basic.root?.currentLocation ?? null;
+  const statusDesc    = head.root?.order_status_describe ?? null;
+  const subStatusDesc = head.root?.order_sub_status_describe ?? null;
+
+  const basicOk = !basicErr, headOk = !headErr;
+  const raw = keepRaw ? { raw: { basic: basic.root, head: head.root } } : {};
+
+  // FMS unreachable on either call, or both calls failed: no usable details
+  const unreachable = [basicErr, headErr].find((e) => e && (e.code === "timeout" || e.code === "upstream_unavailable"));
+  if (unreachable || (basicErr && headErr)) {
+    return {
+      ok: false, loc: null, status: null, substatus: null,
+      basicOk, headOk, partial: false, error: unreachable || basicErr, ...raw
+    };
+  }
+
+  return {
+    ok: true,
+    loc,
+    status: statusDesc,
+    substatus: subStatusDesc,
+    basicOk,
+    headOk,
+    partial: !basicOk || !headOk,
+    error: null,
+    ...raw
+  };
+}
@@ -0,0 +1,268 @@
+// lib/history.js
+// Check run history: every finished check is saved with a run id, time, mode
+// and inputs, plus a compact snapshot of each result, so a run can be
+// compared with the last time its PROs were checked.
+//
+// Runs go to a pluggable store. HISTORY_STORE picks a built-in one:
+//   file    (default) a JSON file at HISTORY_PATH (os.tmpdir() if unset)
+//   memory  this process only
+//   off     nothing is recorded
+// setHistoryStore() installs any other backend with the same methods:
+//   save(run), get(id), list({ limit }), previous(pros, run)
+// On a serverless host every function instance has its own temp directory,
+// so check-history would not see the runs other instances saved: set
+// HISTORY_PATH to storage every instance mounts, or install a shared backend.
+// The file store reads the file on every call and re-reads it before each
+// save, so runs saved by other instances are kept.
+//
+// Watchlist runs (mode "watchlist", as often as every few minutes) are kept
+// apart from manual checks so they can't push them out: each side keeps its
+// newest runs up to its run cap and HISTORY_MAX_ROWS result rows.
+
+import { randomUUID } from "node:crypto";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { jsonFile } from "./jsonfile.js";
+import { canonicalTerminal } from "./terminals.js";
+
+/* ========================
+   CONFIG
+======================== */
+const HISTORY_PATH     = process.env.HISTORY_PATH || join(tmpdir(), "fms-tms-check-history.json");
+// Oldest runs are dropped beyond this many manual / watchlist runs, or once
+// their result rows add up to more than HISTORY_MAX_ROWS (the newest run is
+// always kept)
+const HISTORY_MAX_RUNS           = Number(process.env.HISTORY_MAX_RUNS) || 200;
+const HISTORY_MAX_WATCHLIST_RUNS = Number(process.env.HISTORY_MAX_WATCHLIST_RUNS) || 200;
+const HISTORY_MAX_ROWS           = Number(process.env.HISTORY_MAX_ROWS) || 20000;
+
+// Helper: case/whitespace-insensitive text compare
+const norm = (v) => String(v ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+
+/* ========================
+   SNAPSHOTS
+======================== */
+// Failed lookups are recorded as such, so "couldn't check" never reads as a change
+const failedCode = (e) => (e && e.code !== "not_found" ? e.code : null);
+
+/**
+ * What history keeps of one check result.
+ */
+export function snapshotResult(r) {
+  return {
+    pro: r.pro ?? null,
+    pu: r.pu ?? null,
+    input: r.input ?? null,
+    DO: r.fms?.DO ?? null,
+    fmsStatus: r.fms?.status ?? null,
+    fmsSubstatus: r.fms?.substatus ?? null,
+    fmsLoc: r.fms?.loc ?? null,
+    fmsError: failedCode(r.fms?.error),
+    tmsOrderId: r.tms?.orderId ?? null,
+    tmsStage: r.tms?.status ?? null,
+    tmsStatus: r.tms?.substatus ?? null,
+    tmsLoc: r.tms?.loc ?? null,
+    tmsError: failedCode(r.tms?.error),
+    verdict: r.verdict ?? null
+  };
+}
+
+// Run record without its inputs and rows, for listings
+const runInfo = ({ inputs, rows, ...info }) => ({ ...info, inputCount: inputs.length, resultCount: rows.length });
+
+/* ========================
+   STORES
+======================== */
+/**
+ * Drop, in place, the runs beyond the manual and watchlist windows.
+ */
+function pruneRuns(runs) {
+  const windows = {
+    manual:    { maxRuns: HISTORY_MAX_RUNS, runs: 0, rows: 0, full: false },
+    watchlist: { maxRuns: HISTORY_MAX_WATCHLIST_RUNS, runs: 0, rows: 0, full: false }
+  };
+  const kept = [];
+  for (let i = runs.length - 1; i >= 0; i--) {
+    const w = windows[runs[i].mode === "watchlist" ? "watchlist" : "manual"];
+    const rows = runs[i].rows.length;
+    w.full ||= w.runs > 0 && (w.runs >= w.maxRuns || w.rows + rows > HISTORY_MAX_ROWS);
+    if (w.full) continue;
+    w.runs++;
+    w.rows += rows;
+    kept.push(runs[i]);
+  }
+  if (kept.length < runs.length) runs.splice(0, runs.length, ...kept.reverse());
+}
+/**
+ * Runs kept in process memory, oldest first.
+ */
+export function createMemoryStore(runs = []) {
+  return {
+    async save(run) {
+      runs.push(run);
+      pruneRuns(runs);
+    },
+
+    async get(id) {
+      return runs.find((r) => r.id === id) || null;
+    },
+
+    async list({ limit = 50 } = {}) {
+      return runs.slice(-limit).reverse().map(runInfo);
+    },
+
+    // Latest row per PRO from the runs before `run`: Map pro -> { run, row }
+    async previous(pros, run) {
+      const wanted = new Set(pros);
+      const found  = new Map();
+      const end    = runs.findIndex((r) => r.id === run.id);
+      for (let i = (end < 0 ? runs.length : end) - 1; i >= 0 && found.size < wanted.size; i--) {
+        for (const row of runs[i].rows) {
+          if (wanted.has(row.pro) && !found.has(row.pro)) found.set(row.pro, { run: runInfo(runs[i]), row });
+        }
+      }
+      return found;
+    }
+  };
+}
+
+/**
+ * Runs kept in a JSON file. Every call reads the file, and a save re-reads it
+ * in the write queue, so runs other processes saved to it are neither missed
+ * nor overwritten.
+ */
+export function createFileStore(path = HISTORY_PATH) {
+  const file = jsonFile(path, { runs: [] });
+  if (process.env.VERCEL && !process.env.HISTORY_PATH) {
+    console.warn(`Check history is kept in ${path}, private to this function instance; set HISTORY_PATH to shared storage`);
+  }
+
+  const store = async () => createMemoryStore((await file.read()).runs || []);
+
+  return {
+    save: (run) => file.update(async (doc) => {
+      const runs = doc.runs || [];
+      await createMemoryStore(runs).save(run);
+      return { runs };
+    }),
+    get: async (id) => (await store()).get(id),
+    list: async (opts) => (await store()).list(opts),
+    previous: async (pros, run) => (await store()).previous(pros, run)
+  };
+}
+
+const BUILTIN_STORES = {
+  file: () => createFileStore(),
+  memory: () => createMemoryStore(),
+  off: () => null
+};
+
+let STORE;
+
+/**
+ * The configured store, or null when history is off.
+ */
+export function historyStore() {
+  if (STORE === undefined) {
+    const name = process.env.HISTORY_STORE || "file";
+    if (!BUILTIN_STORES[name]) console.warn(`Unknown HISTORY_STORE "${name}"; using file`);
+    STORE = (BUILTIN_STORES[name] || BUILTIN_STORES.file)();
+  }
+  return STORE;
+}
+
+/**
+ * Install a custom history backend (null turns history off).
+ */
+export function setHistoryStore(store) {
+  STORE = store;
+}
+
+/* ========================
+   RECORDING
+======================== */
+/**
+ * Save a finished check. `inputs` is what was checked (the identifiers, or
+ * the PROs a sweep found), `query` the criteria of a sweep or orphan report.
+ * Resolves to the run id, or null when history is off or saving failed;
+ * a history problem never fails the check itself.
+ */
+export async function recordRun({ mode, inputs = [], query = null, results, summary = {} }) {
+  const store = historyStore();
+  if (!store) return null;
+
+  const run = {
+    id: randomUUID(),
+    at: new Date().toISOString(),
+    mode,
+    inputs,
+    ...(query ? { query } : {}),
+    received: summary.received ?? inputs.length,
+    processed: summary.processed ?? inputs.length,
+    warnings: (summary.warnings || []).length,
+    rows: results.map(snapshotResult)
+  };
+  try {
+    await store.save(run);
+    return run.id;
+  } catch (e) {
+    console.error("Check history not saved:", e?.message || e);
+    return null;
+  }
+}
+
+/* ========================
+   DIFF
+======================== */
+// Fields compared between runs; terminals compare by canonical code
+const DIFF_FIELDS = [
+  { key: "fmsStatus", label: "FMS status",   side: "fms" },
+  { key: "tmsStage",  label: "TMS stage",    side: "tms" },
+  { key: "fmsLoc",    label: "FMS location", side: "fms", terminal: true },
+  { key: "tmsLoc",    label: "TMS location", side: "tms", terminal: true }
+];
+
+function fieldChanged(f, before, after) {
+  // A side that couldn't be checked in either run tells us nothing
+  if (before[`${f.side}Error`] || after[`${f.side}Error`]) return false;
+  if (f.terminal) return canonicalTerminal(before[f.key]) !== canonicalTerminal(after[f.key]);
+  return norm(before[f.key]) !== norm(after[f.key]);
+}
+
+/**
+ * Compare a run with the last time each of its PROs was checked before it.
+ * Returns null for an unknown run, else
+ *   { run, changed: [{ pro, previous: { runId, at, mode }, changes: [{ field, label, before, after }] }],
+ *     unchanged: n, firstSeen: [pros] }
+ */
+export async function diffRun(id, store = historyStore()) {
+  const run = store ? await store.get(id) : null;
+  if (!run) return null;
+
+  const rows = new Map();
+  for (const row of run.rows) {
+    if (row.pro && !rows.has(row.pro)) rows.set(row.pro, row);
+  }
+  const previous = await store.previous([...rows.keys()], run);
+
+  const changed = [];
+  const firstSeen = [];
+  let unchanged = 0;
+  for (const [pro, row] of rows) {
+    const prev = previous.get(pro);
+    if (!prev) {
+      firstSeen.push(pro);
+      continue;
+    }
+    const changes = DIFF_FIELDS
+      .filter((f) => fieldChanged(f, prev.row, row))
+      .map((f) => ({ field: f.key, label: f.label, before: prev.row[f.key], after: row[f.key] }));
+    if (!changes.length) {
+      unchanged++;
+      continue;
+    }
+    changed.push({ pro, previous: { runId: prev.run.id, at: prev.run.at, mode: prev.run.mode }, changes });
+  }
+
+  return { run: runInfo(run), changed, unchanged, firstSeen };
+}
@@ -0,0 +1,305 @@
+// lib/identifiers.js
+// Identifier parsing and classification, shared by the API and index.html
+// (loaded there as an ES module, so this file must stay browser-safe).
+//
+// normalizeIdentifier() cleans one value for a search type (labels, carrier
+// prefixes, separators); parseIdentifiers() turns pasted text or spreadsheet
+// columns into the values to search.
+//
+// For mixed input lists each raw input is classified into the identifier types
+// it could be, most likely first. Explicit prefixes ("pu: 123", "BOL# 4455",
+// "tms:998") pin a single type; bare values get an ordered candidate list that
+// the check pipeline tries in turn until one of the systems recognizes the value.
+
+export const ID_TYPES = ["pro", "pu", "do", "tms_order", "bol", "po"];
+
+export const ID_LABELS = {
+  pro: "PRO",
+  pu: "PU",
+  do: "DO",
+  tms_order: "TMS order",
+  bol: "BOL",
+  po: "PO"
+};
+
+// Prefix words accepted in front of a value, followed by ":", "#" or whitespace
+const PREFIXES = {
+  pro: "pro",
+  pu: "pu",
+  do: "do",
+  tms: "tms_order",
+  order: "tms_order",
+  bol: "bol",
+  po: "po"
+};
+
+const PREFIX_RE = /^(pro|pu|do|tms|order|bol|po)\s*[:#\s]\s*(\S.*)$/i;
+
+/**
+ * Classify one raw identifier.
+ * Returns { input, value, candidates } or null for blank input.
+ * `forceType` skips detection and pins the given type.
+ */
+export function classifyIdentifier(raw, forceType = null) {
+  const input = String(raw ?? "").trim();
+  if (!input) return null;
+
+  if (forceType && ID_TYPES.includes(forceType)) {
+    return { input, value: normalizeValue(forceType, input), candidates: [forceType] };
+  }
+
+  const m = input.match(PREFIX_RE);
+  if (m) {
+    const type = PREFIXES[m[1].toLowerCase()];
+    return { input, value: normalizeValue(type, m[2]), candidates: [type] };
+  }
+
+  if (/^DO\d{6,}$/i.test(input)) {
+    return { input, value: input.toUpperCase(), candidates: ["do"] };
+  }
+  if (/^\d{6,14}$/.test(input)) {
+    return { input, value: input, candidates: ["pro", "pu", "tms_order"] };
+  }
+  if (/^\d+$/.test(input)) {
+    return { input, value: input, candidates: ["pu", "tms_order"] };
+  }
+  return { input, value: input, candidates: ["pu", "bol", "po"] };
+}
+
+function normalizeValue(type, v) {
+  const s = String(v ?? "").trim();
+  const { value } = normalizeIdentifier(s, type);
+  return value ?? (type === "do" ? s.toUpperCase() : s);
+}
+
+/* ========================
+   PER-TYPE FORMATS
+======================== */
+// label:   a leading field label to drop ("PRO# ", "PU: ", "Order ID ")
+// prefix:  anything else to drop (carrier prefixes on PROs: "SEFL-123456")
+// clean:   strip separators and normalize case
+// re:      what a usable value looks like; `reason` when it doesn't
+const FORMATS = {
+  pro: {
+    label: /^(pro|tracking)\s*(#|no\.?|num(ber)?)?\s*[:#]?\s*/i,
+    prefix: /^(?!DO\d)[A-Z]{2,4}[-\s:#]*(?=\d)/i,
+    clean: (s) => s.replace(/[-./\s]/g, ""),
+    re: /^\d{6,14}$/,
+    reason: "PRO must be 6-14 digits"
+  },
+  pu: {
+    label: /^(pu|pickup)\s*(#|no\.?|num(ber)?)?\s*[:#]\s*|^(pu|pickup)\s+(?=\S)/i,
+    clean: (s) => s.replace(/\s+/g, ""),
+    re: /^(?=.*\d)[A-Za-z0-9][A-Za-z0-9_./-]*$/,
+    reason: "PU must be letters/digits including a digit"
+  },
+  do: {
+    label: /^do\s*(#|no\.?)?\s*[:#]\s*|^do\s+(?=\S)/i,
+    clean: (s) => {
+      const v = s.replace(/[-./\s]/g, "").toUpperCase();
+      return /^\d+$/.test(v) ? `DO${v}` : v;
+    },
+    re: /^DO\d{6,}$/,
+    reason: "DO must be DO followed by 6 or more digits"
+  },
+  tms_order: {
+    label: /^(tms\s*order|tms|order)(\s*id)?\s*[:#]?\s*/i,
+    clean: (s) => s.replace(/[-./\s]/g, ""),
+    re: /^\d{1,14}$/,
+    reason: "TMS order id must be digits"
+  }
+};
+
+// Dates pasted from a spreadsheet column are never PROs, DOs or order ids
+const DATE_RE = /^(\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4})$/;
+
+/**
+ * Normalize one raw value for a search type: drop quotes, field labels,
+ * carrier prefixes and separators. Returns { value, reason }; value is null
+ * (and reason says why) when the input can't be searched as `type`.
+ * Types without a fixed shape (bol, po, null = auto-detect) are only trimmed.
+ */
+export function normalizeIdentifier(raw, type = null) {
+  let s = String(raw ?? "").trim().replace(/^["']+|["']+$/g, "").trim();
+  if (!s) return { value: null, reason: "empty value" };
+
+  const fmt = FORMATS[type];
+  if (!fmt) return { value: s, reason: null };
+
+  if (DATE_RE.test(s) && type !== "pu") return { value: null, reason: "looks like a date" };
+  s = s.replace(fmt.label, "");
+  if (fmt.prefix) s = s.replace(fmt.prefix, "");
+  const value = fmt.clean(s);
+  return fmt.re.test(value) ? { value, reason: null } : { value: null, reason: fmt.reason };
+}
+
+/* ========================
+   PASTED TEXT
+======================== */
+// Column headers recognized per type in pasted spreadsheet data
+const HEADERS = {
+  pro:       /^(pro|tracking)( ?(#|no\.?|num(ber)?))?$/,
+  pu:        /^(pu|pickup)( ?(#|no\.?|num(ber)?))?$/,
+  do:        /^(do|delivery order)( ?(#|no\.?|num(ber)?))?$/,
+  tms_order: /^(tms ?order|tms|order)( ?(id|#|no\.?))?$/,
+  bol:       /^(bol|bill of lading)( ?(#|no\.?|num(ber)?))?$/,
+  po:        /^(po|purchase order)( ?(#|no\.?|num(ber)?))?$/
+};
+
+// Prefix written in front of auto-detect values from a typed column
+const TYPE_PREFIX = { pro: "pro", pu: "pu", do: "do", tms_order: "tms", bol: "bol", po: "po" };
+
+// Bare field labels left over after splitting "PRO# 123 456" on whitespace
+const LABEL_ONLY_RE = /^(pro|pu|do|tms|order|bol|po)\s*[:#]?$/i;
+
+function headerType(cell) {
+  const h = String(cell ?? "").trim().toLowerCase().replace(/[_\s]+/g, " ").replace(/[:.]$/, "");
+  return Object.keys(HEADERS).find((t) => HEADERS[t].test(h)) || null;
+}
+
+// Split one delimited line, honouring "quoted, cells" and "" escapes
+function splitRow(line, delim) {
+  const cells = [];
+  let cur = "", quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"' && !cur.trim()) {
+      quoted = true;
+    } else if (ch === delim) {
+      cells.push(cur);
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  cells.push(cur);
+  return cells.map((c) => c.trim());
+}
+
+/**
+ * Spreadsheet-looking text: tab separated, or several lines with the same
+ * number (> 1) of comma separated cells. Returns { delimiter, rows } or null.
+ */
+function detectTable(lines) {
+  if (lines.some((l) => l.includes("\t"))) {
+    return { delimiter: "tab", rows: lines.map((l) => splitRow(l, "\t")) };
+  }
+  if (lines.length < 2) return null;
+  const rows = lines.map((l) => splitRow(l, ","));
+  const width = rows[0].length;
+  if (width < 2 || rows.some((r) => r.length !== width)) return null;
+  return { delimiter: "comma", rows };
+}
+
+/**
+ * Parse pasted text into the identifiers to search for one mode
+ * ("pro" | "pu" | "do" | "tms_order" | "auto").
+ *
+ * Free text is split on newlines, commas, semicolons and tabs (and on
+ * whitespace, except in auto mode where "pro: 123" must stay together).
+ * Spreadsheet columns are recognized: with a header row the column named for
+ * the mode is used (in auto mode, a typed column pins its values' type);
+ * without one, a single column of valid values is picked out of the others.
+ *
+ * Returns { values, ignored: [{ input, reason }], duplicates, table }
+ * where table is null or { delimiter, columns, column, header }.
+ */
+export function parseIdentifiers(text, mode = "auto") {
+  const type  = mode === "auto" ? null : mode;
+  const lines = String(text ?? "").split(/\r?\n/).filter((l) => l.trim());
+
+  const values  = [];
+  const ignored = [];
+  const seen    = new Set();
+  let duplicates = 0;
+  const take = (raw, pinned = null) => {
+    const { value, reason } = normalizeIdentifier(raw, type);
+    if (!value) {
+      if (reason !== "empty value") ignored.push({ input: String(raw).trim(), reason });
+      return;
+    }
+    const v = pinned && !type ? `${TYPE_PREFIX[pinned]}: ${value}` : value;
+    if (seen.has(v)) duplicates++;
+    else {
+      seen.add(v);
+      values.push(v);
+    }
+  };
+
+  const table  = detectTable(lines);
+  const column = table && pickColumn(table.rows, type);
+  if (column) {
+    const { index, header, pinned } = column;
+    for (const row of table.rows.slice(header != null ? 1 : 0)) {
+      if (row[index]) take(row[index], pinned);
+    }
+    return {
+      values, ignored, duplicates,
+      table: { delimiter: table.delimiter, columns: table.rows[0].length, column: index, header }
+    };
+  }
+
+  for (const piece of lines.join("\n").split(/[\r\n,;\t]+/)) {
+    if (!type) {
+      take(piece);
+      continue;
+    }
+    // "PRO# 123456" -> "PRO#123456", then one token per whitespace run
+    const joined = piece.trim().replace(/^(pro|pu|do|tms|order)\s*([:#])?\s+(?=\S)/i, (m, label, sep) => label + (sep || ":"));
+    for (const tok of joined.split(/\s+/)) {
+      if (tok && !LABEL_ONLY_RE.test(tok)) take(tok);
+    }
+  }
+  return { values, ignored, duplicates, table: null };
+}
+
+/**
+ * Column of a pasted table to search: the one whose header names the mode
+ * (or, in auto mode, any known type), otherwise the only column that mostly
+ * holds valid values. Null means "treat it as free text".
+ */
+function pickColumn(rows, type) {
+  const headerTypes = rows[0].map(headerType);
+  if (headerTypes.some(Boolean)) {
+    const index = type ? headerTypes.indexOf(type) : headerTypes.findIndex(Boolean);
+    if (index >= 0) return { index, header: rows[0][index], pinned: headerTypes[index] };
+    // Header row, but no column named for this mode: best column below it
+    const counts = validCounts(rows.slice(1), type);
+    const best   = counts.indexOf(Math.max(...counts));
+    return { index: best, header: rows[0][best], pinned: null };
+  }
+  if (!type) return null;
+
+  const counts = validCounts(rows, type);
+  const good   = counts.filter((n) => n >= rows.length / 2);
+  if (good.length !== 1) return null;
+  return { index: counts.indexOf(good[0]), header: null, pinned: null };
+}
+
+// Per column: how many cells are valid values for `type` (any non-blank in auto mode)
+function validCounts(rows, type) {
+  const width = Math.max(0, ...rows.map((r) => r.length));
+  return Array.from({ length: width }, (_, i) =>
+    rows.filter((r) => r[i] && normalizeIdentifier(r[i], type).value).length
+  );
+}
+
+/**
+ * Column of an uploaded sheet that most likely holds the identifiers for
+ * `mode`, and whether its first row is a header.
+ * Returns { column, header } (column is null when nothing fits).
+ */
+export function suggestColumn(rows, mode = "auto") {
+  if (!rows.length) return { column: null, header: false };
+  const type = mode === "auto" ? null : mode;
+  const picked = pickColumn(rows, type);
+  if (picked) {
+    const header = picked.header != null || !normalizeIdentifier(rows[0][picked.index], type).value;
+    return { column: picked.index, header };
+  }
+  return { column: null, header: rows[0].some((c) => headerType(c)) };
+}
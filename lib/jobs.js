@@ -0,0 +1,104 @@
+// lib/jobs.js
+// In-memory store for asynchronous check jobs.
+//
+// Jobs live in the memory of the process that created them, which is what
+// local runs (vercel dev / node) need. A deployment that spreads requests
+// across instances would need a shared store behind the same functions.
+
+import { randomUUID } from "node:crypto";
+
+// Finished jobs are dropped after this long
+const JOB_TTL_MS = Number(process.env.JOB_TTL_MS) || 60 * 60 * 1000;
+
+const JOBS = new Map();
+
+function pruneJobs(now = Date.now()) {
+  for (const [id, job] of JOBS) {
+    if (job.finishedAt && now - job.finishedAt > JOB_TTL_MS) {
+      JOBS.delete(id);
+    }
+  }
+}
+
+/**
+ * Create a job and start `run(hooks)` in the background.
+ * `run` receives { onProgress, onResult } hooks and resolves to the result list.
+ */
+export function startJob({ mode, inputs, received }, run) {
+  pruneJobs();
+
+  const job = {
+    id: randomUUID(),
+    mode,
+    status: "running", // running | done | failed
+    phase: "queued",
+    progress: { done: 0, total: inputs.length },
+    received,
+    processed: inputs.length,
+    completed: [],     // results in completion order, for partial polling
+    results: null,     // results in input order, once done
+    warnings: [],      // system-wide failures reported while running
+    error: null,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+    finishedAt: null
+  };
+  JOBS.set(job.id, job);
+
+  const hooks = {
+    onProgress({ phase, done, total }) {
+      job.phase = phase;
+      job.progress = { done, total };
+      job.updatedAt = Date.now();
+    },
+    onResult(result) {
+      job.completed.push(result);
+      job.updatedAt = Date.now();
+    },
+    onWarning(warning) {
+      job.warnings.push(warning);
+      job.updatedAt = Date.now();
+    }
+  };
+
+  run(hooks)
+    .then((results) => {
+      job.results = results;
+      job.status = "done";
+      job.phase = "done";
+    })
+    .catch((err) => {
+      console.error(`check job ${job.id} failed:`, err);
+      job.status = "failed";
+      job.error = err?.message || String(err);
+    })
+    .finally(() => {
+      job.finishedAt = job.updatedAt = Date.now();
+    });
+
+  return job;
+}
+
+export function getJob(id) {
+  return JOBS.get(String(id ?? "")) || null;
+}
+
+/**
+ * Public view of a job. `after` skips partial results the caller already has.
+ */
+export function jobStatus(job, after = 0) {
+  const from = Math.max(0, Number(after) || 0);
+  return {
+    id: job.id,
+    mode: job.mode,
+    status: job.status,
+    phase: job.phase,
+    progress: job.progress,
+    received: job.received,
+    processed: job.processed,
+    error: job.error,
+    warnings: job.warnings,
+    partial: job.completed.slice(from),
+    cursor: job.completed.length
+  };
+}
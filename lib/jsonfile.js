@@ -0,0 +1,69 @@
+// lib/jsonfile.js
+// One JSON document on disk, for the file-backed stores (check history,
+// watchlists). Writes go through a temp file and a rename, one at a time per
+// process, so a reader never sees a half-written file. update() re-reads the
+// file inside that queue, so a change made by another process since the last
+// read is kept rather than overwritten; two processes updating at the very
+// same moment can still race, as there is no lock across processes.
+
+import { randomUUID } from "node:crypto";
+import { mkdir, readFile, rename, rm, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+
+/**
+ * read() resolves to the parsed document, or a copy of `fallback` when the
+ * file is missing or unreadable; write(doc) replaces it. update(change) reads
+ * the current document, awaits change(doc) and writes the document it
+ * resolves to; it resolves to that document. update() starts from `fallback`
+ * only for a missing file: an unreadable one (bad JSON, no permission) makes
+ * it reject rather than replace the file's contents.
+ */
+export function jsonFile(path, fallback) {
+  let writing = Promise.resolve();
+
+  async function load() {
+    try {
+      return JSON.parse(await readFile(path, "utf8"));
+    } catch (e) {
+      if (e?.code === "ENOENT") return structuredClone(fallback);
+      throw e;
+    }
+  }
+
+  async function read() {
+    try {
+      return await load();
+    } catch (e) {
+      console.warn(`${path} not loaded:`, e?.message || e);
+      return structuredClone(fallback);
+    }
+  }
+
+  async function save(doc) {
+    // Own temp name per write: other processes may be saving the same file
+    const tmp = `${path}.${process.pid}.${randomUUID()}.tmp`;
+    await mkdir(dirname(path), { recursive: true });
+    try {
+      await writeFile(tmp, JSON.stringify(doc));
+      await rename(tmp, path);
+    } catch (e) {
+      await rm(tmp, { force: true });
+      throw e;
+    }
+  }
+
+  // A failed write must not block the ones after it
+  const queue = (task) => (writing = writing.catch(() => {}).then(task));
+
+  return {
+    read,
+
+    write: (doc) => queue(() => save(doc)),
+
+    update: (change) => queue(async () => {
+      const doc = await change(await load());
+      await save(doc);
+      return doc;
+    })
+  };
+}
@@ -0,0 +1,88 @@
+// lib/notify.js
+// Where watchlist alerts go (lib/watchlists.js).
+//
+// NOTIFIER picks a built-in notifier:
+//   console  (default) one log line per alert
+//   file     one JSON line per alert appended to NOTIFY_FILE (os.tmpdir() if unset)
+//   off      alerts are only kept on the watchlist
+// setNotifier() installs any other one: an object with send(batch), where
+// batch is { at, watchlist: { id, name }, runId, alerts: [...] }.
+
+import { appendFile, mkdir } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+
+/* ========================
+   CONFIG
+======================== */
+const NOTIFY_FILE = process.env.NOTIFY_FILE || join(tmpdir(), "fms-tms-alerts.ndjson");
+
+/* ========================
+   NOTIFIERS
+======================== */
+/**
+ * Appends each alert to `path` as one JSON line, with the batch's time,
+ * watchlist and run id.
+ */
+export function createFileNotifier(path = NOTIFY_FILE) {
+  return {
+    name: "file",
+    async send({ at, watchlist, runId, alerts }) {
+      const lines = alerts.map((a) => JSON.stringify({ at, watchlist, runId, ...a }) + "\n");
+      await mkdir(dirname(path), { recursive: true });
+      await appendFile(path, lines.join(""));
+    }
+  };
+}
+
+export function createConsoleNotifier() {
+  return {
+    name: "console",
+    async send({ watchlist, alerts }) {
+      for (const a of alerts) console.log(`[watchlist ${watchlist.name}] ${a.pro}: ${a.message}`);
+    }
+  };
+}
+
+const BUILTIN_NOTIFIERS = {
+  console: () => createConsoleNotifier(),
+  file: () => createFileNotifier(),
+  off: () => null
+};
+
+let NOTIFIER;
+
+/**
+ * The configured notifier, or null when alerts are off.
+ */
+export function notifier() {
+  if (NOTIFIER === undefined) {
+    const name = process.env.NOTIFIER || "console";
+    if (!BUILTIN_NOTIFIERS[name]) console.warn(`Unknown NOTIFIER "${name}"; using console`);
+    NOTIFIER = (BUILTIN_NOTIFIERS[name] || BUILTIN_NOTIFIERS.console)();
+  }
+  return NOTIFIER;
+}
+
+/**
+ * Install a custom notifier (null turns alerts off).
+ */
+export function setNotifier(n) {
+  NOTIFIER = n;
+}
+
+/**
+ * Send one run's alerts. Resolves to { sent, error }; a notifier problem is
+ * logged and reported, never thrown, so it can't fail the run.
+ */
+export async function sendAlerts(batch) {
+  const n = notifier();
+  if (!n || !batch.alerts.length) return { sent: false, error: null };
+  try {
+    await n.send(batch);
+    return { sent: true, error: null };
+  } catch (e) {
+    console.error(`Alerts not sent (${n.name || "notifier"}):`, e?.message || e);
+    return { sent: false, error: String(e?.message || e) };
+  }
+}
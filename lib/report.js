@@ -0,0 +1,84 @@
+// lib/report.js
+// Response bookkeeping shared by the check endpoints and jobs.
+//
+// A report wraps one check run and collects what the response says about it
+// besides the results: system-wide warnings, FMS/TMS session state, retried or
+// short-circuited upstream calls, and the `meta` block (input handling from
+// prepareInputs plus per-phase timings). With a `mode`, finish() also saves
+// the run to the check history (lib/history.js) and sends the run to the
+// outbound notification targets (lib/webhooks.js).
+
+import { sessionMeta, sessionSnapshot } from "./check.js";
+import { recordRun } from "./history.js";
+import { callTracker } from "./upstream.js";
+import { notifyRun, runEvent } from "./webhooks.js";
+
+/**
+ * Start a report for inputs from prepareInputs() (or prepareSweep/prepareOrphans).
+ *   report.run(check, hooks)  runs check(hooks) with instrumented hooks
+ *   report.summary()          { received, processed, warnings, sessions, upstream, meta }
+ *   report.finish(results)    summary() plus the history runId (null when not saved);
+ *                             { notify: false } leaves the notification to the caller
+ */
+export function checkReport({ unique, trimmed, meta, criteria = null }, mode = null) {
+  const sessionsBefore = sessionSnapshot();
+  const calls    = callTracker();
+  const warnings = [];
+  const timings  = {};
+  const started  = Date.now();
+  let phase      = null;
+  let phaseStart = started;
+
+  // Close the running phase and add its time (phases can repeat in mixed mode)
+  const endPhase = (now) => {
+    if (phase) timings[phase] = (timings[phase] || 0) + (now - phaseStart);
+  };
+
+  return {
+    run(check, hooks = {}) {
+      return calls.run(() => check({
+        ...hooks,
+        onProgress(p) {
+          if (p.phase !== phase) {
+            const now = Date.now();
+            endPhase(now);
+            phase = p.phase;
+            phaseStart = now;
+          }
+          hooks.onProgress?.(p);
+        },
+        onWarning(w) {
+          warnings.push(w);
+          hooks.onWarning?.(w);
+        }
+      }));
+    },
+
+    summary,
+
+    async finish(results, { notify = true } = {}) {
+      const s = summary();
+      const runId = mode
+        ? await recordRun({ mode, inputs: trimmed, query: criteria, results, summary: s })
+        : null;
+      // Awaited like a watchlist run's: a serverless function may be frozen
+      // once it has responded. notifyRun() gives up waiting after NOTIFY_WAIT_MS
+      if (mode && notify) await notifyRun(runEvent({ mode, runId, results }));
+      return { ...s, runId };
+    }
+  };
+
+  function summary() {
+    const now = Date.now();
+    endPhase(now);
+    phase = null;
+    return {
+      received: unique.length,
+      processed: trimmed.length,
+      warnings,
+      sessions: sessionMeta(sessionsBefore),
+      upstream: calls.report(),
+      meta: { ...meta, timings: { ...timings, total: now - started } }
+    };
+  }
+}
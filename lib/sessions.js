@@ -0,0 +1,83 @@
+// lib/sessions.js
+// Login session lifecycle shared by the FMS and TMS clients.
+//
+// A session caches one login (FMS token, TMS UserID/UserToken) for a TTL.
+// Upstream calls run through session.run(fn): when fn throws AuthExpiredError
+// (401/403 or a "not logged in" payload), the session logs in again once and
+// replays fn with the fresh login. Concurrent callers share a single re-login.
+
+export class AuthExpiredError extends Error {
+  constructor(system, message) {
+    super(message || `${system} session expired`);
+    this.name = "AuthExpiredError";
+    this.system = system;
+  }
+}
+
+/**
+ * Create a session for one upstream system.
+ * `login()` resolves to whatever the calls need (token, { userId, token }, ...).
+ */
+export function createSession(name, login, ttlMs) {
+  let value     = null;
+  let createdAt = 0;
+  let pending   = null;
+  let logins    = 0;
+  let relogins  = 0;
+
+  async function get(force = false) {
+    if (!force && value && Date.now() - createdAt < ttlMs) return value;
+    if (!pending) {
+      pending = login()
+        .then((v) => {
+          value = v;
+          createdAt = Date.now();
+          logins++;
+          return v;
+        })
+        .finally(() => { pending = null; });
+    }
+    return pending;
+  }
+
+  async function run(fn) {
+    const current = await get();
+    try {
+      return await fn(current);
+    } catch (e) {
+      if (!(e instanceof AuthExpiredError)) throw e;
+      // Only the first caller to see this login fail drops it; the rest
+      // pick up the re-login already in flight (or already done).
+      if (value === current) {
+        value = null;
+        relogins++;
+      }
+      return fn(await get());
+    }
+  }
+
+  function info() {
+    return {
+      name,
+      active: !!value,
+      ageMs: value ? Date.now() - createdAt : null,
+      logins,
+      relogins
+    };
+  }
+
+  return { get, run, info };
+}
+
+/**
+ * Session metadata for a response: current age plus whether a re-login
+ * happened since `before` (a previous info() snapshot of the same session).
+ */
+export function sessionReport(session, before) {
+  const now = session.info();
+  return {
+    ageMs: now.ageMs,
+    relogin: now.relogins > (before?.relogins ?? 0),
+    logins: now.logins - (before?.logins ?? 0)
+  };
+}
@@ -0,0 +1,397 @@
+// lib/spreadsheet.js
+// CSV and XLSX reading for uploads, and CSV/XLSX writing for exports, in
+// index.html (loaded there as an ES module, so this file must stay
+// browser-safe: no Node APIs, no dependencies).
+//
+// Files are read locally in the browser; nothing is uploaded. Every reader
+// returns the sheet as rows of trimmed string cells. XLSX support covers what
+// spreadsheet exports contain: the first worksheet, shared and inline strings,
+// numbers and booleans (no formulas are evaluated; their cached value is used).
+
+/* ========================
+   CSV
+======================== */
+const CSV_DELIMITERS = [",", ";", "\t"];
+
+// Delimiter used on the first line (outside quotes): the most frequent candidate
+function csvDelimiter(text) {
+  const counts = Object.fromEntries(CSV_DELIMITERS.map((d) => [d, 0]));
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && (ch === "\n" || ch === "\r")) break;
+    else if (!quoted && ch in counts) counts[ch]++;
+  }
+  return CSV_DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ",");
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells, "" escapes, line breaks inside
+ * quotes, CRLF or LF). Comma, semicolon or tab delimited; blank rows dropped.
+ */
+export function parseCsv(text) {
+  const s = String(text ?? "").replace(/^\uFEFF/, "");
+  const delim = csvDelimiter(s);
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+
+  const endCell = () => { row.push(cell.trim()); cell = ""; };
+  const endRow  = () => {
+    endCell();
+    if (row.some(Boolean)) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && !cell.trim()) {
+      quoted = true;
+      cell = "";
+    } else if (ch === delim) {
+      endCell();
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) endRow();
+  return rows;
+}
+
+/**
+ * Write rows as RFC 4180 CSV: cells holding a comma, quote or line break are
+ * quoted (quotes doubled), records end in CRLF. A UTF-8 BOM is prepended so
+ * Excel opens accented text correctly.
+ */
+export function toCsv(rows) {
+  const cell = (v) => {
+    const s = String(v ?? "");
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return "\uFEFF" + rows.map((r) => r.map(cell).join(",") + "\r\n").join("");
+}
+
+/* ========================
+   ZIP (XLSX container)
+======================== */
+const EOCD_SIG  = 0x06054b50;
+const CDIR_SIG  = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+
+/**
+ * List the entries of a zip archive: Map of name -> () => Promise<Uint8Array>.
+ * Stored and deflated entries are supported (all an XLSX writer produces).
+ */
+function zipEntries(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view  = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // End of central directory: last 22 bytes plus an optional comment
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === EOCD_SIG) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("Not an XLSX file (no zip directory found)");
+
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  const dec = new TextDecoder();
+  const entries = new Map();
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(p, true) !== CDIR_SIG) throw new Error("Corrupt XLSX file (bad zip directory)");
+    const method   = view.getUint16(p + 10, true);
+    const size     = view.getUint32(p + 20, true);
+    const nameLen  = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const noteLen  = view.getUint16(p + 32, true);
+    const local    = view.getUint32(p + 42, true);
+    const name     = dec.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+    p += 46 + nameLen + extraLen + noteLen;
+
+    entries.set(name, () => {
+      if (view.getUint32(local, true) !== LOCAL_SIG) throw new Error(`Corrupt XLSX file (${name})`);
+      const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+      const data  = bytes.subarray(start, start + size);
+      if (method === 0) return Promise.resolve(data);
+      if (method === 8) return inflateRaw(data);
+      throw new Error(`Unsupported XLSX compression (method ${method})`);
+    });
+  }
+  return entries;
+}
+
+async function inflateRaw(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/* ========================
+   XLSX
+======================== */
+const XML_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+function xmlText(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+    if (e[0] === "#") return String.fromCodePoint(e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+    return XML_ENTITIES[e] ?? m;
+  });
+}
+
+const attr = (tag, name) => tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1] ?? null;
+
+// Concatenated <t> runs of a string item (plain or rich text), skipping phonetic runs
+const runText = (xml) =>
+  [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, "").matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+    .map((m) => xmlText(m[1])).join("");
+
+// "AB12" -> 27
+function columnIndex(ref) {
+  let n = 0;
+  for (const ch of ref.replace(/\d+$/, "").toUpperCase()) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+// Excel stores numbers as text like "1.8560935E7"; write integers out in full
+function numberText(v) {
+  if (!/e/i.test(v)) return v;
+  const n = Number(v);
+  return Number.isFinite(n) ? String(n) : v;
+}
+
+async function readEntry(entries, name) {
+  const open = entries.get(name);
+  return open ? new TextDecoder().decode(await open()) : null;
+}
+
+// First worksheet: { name, path } from the workbook and its relationships
+async function firstSheet(entries) {
+  const workbook = await readEntry(entries, "xl/workbook.xml");
+  const rels     = await readEntry(entries, "xl/_rels/workbook.xml.rels");
+  const sheetTag = workbook?.match(/<sheet\s[^>]*>/)?.[0];
+  const name     = sheetTag ? xmlText(attr(sheetTag, "name") || "") : null;
+  const relId    = sheetTag?.match(/\s\w+:id="([^"]*)"/)?.[1];
+  const relTag   = relId && [...(rels || "").matchAll(/<Relationship\s[^>]*>/g)]
+    .map((m) => m[0]).find((t) => attr(t, "Id") === relId);
+  const target   = relTag && attr(relTag, "Target");
+  if (!target) return { name, path: "xl/worksheets/sheet1.xml" };
+  return { name, path: target.startsWith("/") ? target.slice(1) : `xl/${target.replace(/^\.\//, "")}` };
+}
+
+/**
+ * Read the first worksheet of an XLSX file (ArrayBuffer or Uint8Array).
+ * Returns { sheet, rows } with rows of string cells; blank rows dropped.
+ */
+export async function readXlsx(buffer) {
+  const entries = zipEntries(buffer);
+  const sheet = await firstSheet(entries);
+  const xml   = await readEntry(entries, sheet.path);
+  if (!xml) throw new Error("XLSX file has no worksheet");
+
+  const shared = [...((await readEntry(entries, "xl/sharedStrings.xml")) || "").matchAll(/<si>([\s\S]*?)<\/si>/g)]
+    .map((m) => runText(m[1]));
+
+  const rows = [];
+  for (const [, rowXml] of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const row = [];
+    for (const [, tag, body = ""] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref  = attr(tag, "r");
+      const type = attr(tag, "t");
+      const v    = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      let value;
+      if (type === "s") value = shared[Number(v)] ?? "";
+      else if (type === "inlineStr") value = runText(body);
+      else if (type === "b") value = v === "1" ? "TRUE" : v === "0" ? "FALSE" : "";
+      else if (type === "str" || type === "e") value = v != null ? xmlText(v) : "";
+      else value = v != null ? numberText(v) : "";
+      row[ref ? columnIndex(ref) : row.length] = value.trim();
+    }
+    const cells = Array.from(row, (c) => c ?? "");
+    if (cells.some(Boolean)) rows.push(cells);
+  }
+  return { sheet: sheet.name, rows };
+}
+
+/* ========================
+   FILES
+======================== */
+/**
+ * Read an uploaded File: .xlsx as a workbook, anything else as CSV/TSV text.
+ * Returns { name, sheet, rows } with every row padded to the same width.
+ */
+export async function readSpreadsheet(file) {
+  const name = file.name || "upload";
+  const { sheet = null, rows } = /\.xlsx$/i.test(name)
+    ? await readXlsx(await file.arrayBuffer())
+    : { rows: parseCsv(await file.text()) };
+  const width = Math.max(0, ...rows.map((r) => r.length));
+  return { name, sheet, rows: rows.map((r) => [...r, ...Array(width - r.length).fill("")]) };
+}
+
+/* ========================
+   XLSX WRITING
+======================== */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// DOS date for 1980-01-01, the earliest a zip entry can carry
+const ZIP_DATE = (1 << 5) | 1;
+
+/**
+ * Build a zip archive (stored, no compression) from { name: string } files.
+ */
+function zipFiles(files) {
+  const enc = new TextEncoder();
+  const parts = [], central = [];
+  let offset = 0;
+
+  for (const [name, text] of Object.entries(files)) {
+    const nameBytes = enc.encode(name);
+    const data = enc.encode(text);
+    const crc  = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_SIG, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);  // UTF-8 names
+    local.setUint16(12, ZIP_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+
+    const dir = new DataView(new ArrayBuffer(46));
+    dir.setUint32(0, CDIR_SIG, true);
+    dir.setUint16(4, 20, true);
+    dir.setUint16(6, 20, true);
+    dir.setUint16(8, 0x0800, true);
+    dir.setUint16(14, ZIP_DATE, true);
+    dir.setUint32(16, crc, true);
+    dir.setUint32(20, data.length, true);
+    dir.setUint32(24, data.length, true);
+    dir.setUint16(28, nameBytes.length, true);
+    dir.setUint32(42, offset, true);
+
+    parts.push(new Uint8Array(local.buffer), nameBytes, data);
+    central.push(new Uint8Array(dir.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  }
+
+  const dirSize = central.reduce((n, b) => n + b.length, 0);
+  const eocd = new DataView(new ArrayBuffer(22));
+  eocd.setUint32(0, EOCD_SIG, true);
+  eocd.setUint16(8, central.length / 2, true);
+  eocd.setUint16(10, central.length / 2, true);
+  eocd.setUint32(12, dirSize, true);
+  eocd.setUint32(16, offset, true);
+
+  const all = [...parts, ...central, new Uint8Array(eocd.buffer)];
+  const out = new Uint8Array(all.reduce((n, b) => n + b.length, 0));
+  let p = 0;
+  for (const b of all) { out.set(b, p); p += b.length; }
+  return out;
+}
+
+// Escape cell text; characters XML 1.0 can't carry are dropped
+const xmlEscape = (s) => String(s ?? "")
+  .replace(/[^\t\n\r\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "")
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// 0 -> "A", 27 -> "AB"
+function columnName(i) {
+  let s = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+const NS_MAIN = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const NS_REL  = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Row highlight fills (ARGB); the style index follows the header style
+export const XLSX_HIGHLIGHTS = { warn: "FFFFEB9C", bad: "FFFFC7CE" };
+
+function stylesXml() {
+  const fills = Object.values(XLSX_HIGHLIGHTS)
+    .map((rgb) => `<fill><patternFill patternType="solid"><fgColor rgb="${rgb}"/><bgColor indexed="64"/></patternFill></fill>`);
+  const xfs = Object.keys(XLSX_HIGHLIGHTS)
+    .map((_, i) => `<xf numFmtId="0" fontId="0" fillId="${i + 2}" borderId="0" xfId="0" applyFill="1"/>`);
+  return XML_HEAD + `<styleSheet xmlns="${NS_MAIN}">`
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + `<fills count="${fills.length + 2}"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>${fills.join("")}</fills>`
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + `<cellXfs count="${xfs.length + 2}"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>`
+    + `<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>${xfs.join("")}</cellXfs>`
+    + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+    + "</styleSheet>";
+}
+
+function sheetXml(headers, rows, highlight) {
+  const styleOf = Object.fromEntries(Object.keys(XLSX_HIGHLIGHTS).map((k, i) => [k, i + 2]));
+  const rowXml = (cells, r, style) => `<row r="${r}">` + cells.map((v, i) => {
+    const text = xmlEscape(v);
+    const space = /^\s|\s$/.test(text) ? ' xml:space="preserve"' : "";
+    return `<c r="${columnName(i)}${r}" t="inlineStr"${style ? ` s="${style}"` : ""}><is><t${space}>${text}</t></is></c>`;
+  }).join("") + "</row>";
+
+  // Column widths from the longest value, capped so one long reason doesn't dominate
+  const widths = headers.map((h, i) =>
+    Math.min(60, Math.max(String(h).length, ...rows.map((r) => String(r[i] ?? "").length)) + 2));
+
+  return XML_HEAD + `<worksheet xmlns="${NS_MAIN}">`
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<cols>${widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join("")}</cols>`
+    + "<sheetData>"
+    + rowXml(headers, 1, 1)
+    + rows.map((cells, i) => rowXml(cells, i + 2, styleOf[highlight[i]] || 0)).join("")
+    + "</sheetData></worksheet>";
+}
+
+/**
+ * Build an XLSX workbook with one sheet: a bold header row frozen above the
+ * data, every cell written as text (identifiers keep their leading zeros and
+ * full digits), and rows highlighted per `highlight[i]` ("warn" | "bad" | null).
+ * Returns the file as a Uint8Array.
+ */
+export function writeXlsx({ sheet = "Sheet1", headers, rows, highlight = [] }) {
+  const name = xmlEscape(String(sheet).replace(/[[\]:*?/\\]/g, " ").slice(0, 31) || "Sheet1");
+  return zipFiles({
+    "[Content_Types].xml": XML_HEAD
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+      + "</Types>",
+    "_rels/.rels": XML_HEAD
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + `<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/>`
+      + "</Relationships>",
+    "xl/workbook.xml": XML_HEAD
+      + `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    "xl/_rels/workbook.xml.rels": XML_HEAD
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + `<Relationship Id="rId1" Type="${NS_REL}/worksheet" Target="worksheets/sheet1.xml"/>`
+      + `<Relationship Id="rId2" Type="${NS_REL}/styles" Target="styles.xml"/>`
+      + "</Relationships>",
+    "xl/styles.xml": stylesXml(),
+    "xl/worksheets/sheet1.xml": sheetXml(headers, rows, highlight)
+  });
+}
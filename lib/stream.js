@@ -0,0 +1,62 @@
+// lib/stream.js
+// NDJSON streaming for the check endpoints.
+//
+// Opt in with ?stream=ndjson, { "stream": true } in the body, or
+// Accept: application/x-ndjson. One JSON object per line:
+//   { "type": "progress", "phase": "...", "done": 0, "total": 150 }
+//   { "type": "result", "index": 3, "result": { pro, pu, fms, tms, ... } }
+//   { "type": "warning", "warning": { code, system, endpoint, status, message } }
+//   { "type": "done", "received": 152, "processed": 150, "warnings": [...], "meta": {...}, ... }
+//   { "type": "error", "error": "..." }
+
+export function wantsStream(req) {
+  if (req.body?.stream === true) return true;
+  if (String(req.query?.stream || "").toLowerCase() === "ndjson") return true;
+  return /application\/x-ndjson/i.test(req.headers?.accept || "");
+}
+
+/**
+ * Run `run(hooks)` and write each merged result as soon as it is ready.
+ * Progress lines are only sent on phase changes; result lines imply the rest.
+ * `summary` goes on the done line; pass a (possibly async) function to derive
+ * it from the results.
+ */
+export async function streamCheck(req, res, run, summary = {}) {
+  let closed = false;
+  req.on?.("close", () => { closed = true; });
+
+  const send = (obj) => {
+    if (closed || res.writableEnded) return;
+    res.write(JSON.stringify(obj) + "\n");
+  };
+
+  res.status(200);
+  res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+
+  let lastPhase = null;
+  const hooks = {
+    onProgress({ phase, done, total }) {
+      if (phase === lastPhase) return;
+      lastPhase = phase;
+      send({ type: "progress", phase, done, total });
+    },
+    onResult(result, index) {
+      send({ type: "result", index, result });
+    },
+    onWarning(warning) {
+      send({ type: "warning", warning });
+    }
+  };
+
+  try {
+    const results = await run(hooks);
+    send({ type: "done", ...(typeof summary === "function" ? await summary(results) : summary) });
+  } catch (err) {
+    console.error("streamed check failed:", err);
+    send({ type: "error", error: "Internal error running status check" });
+  }
+  if (!res.writableEnded) res.end();
+}
@@ -0,0 +1,96 @@
+// lib/terminals.js
+// Terminal alias registry used to reconcile FMS current_location with TMS wa2_code.
+//
+// FMS and TMS name terminals differently, so both sides are normalized to a
+// canonical terminal code before comparing. The registry is read from
+// config/terminal-aliases.json, or from TERMINAL_ALIASES_PATH (.json or .csv).
+//
+// JSON shape: { "LAX": ["LA", "SBFH-LAX", ...], ... }  (canonical -> aliases)
+// CSV shape:  alias,canonical  (one alias per line, optional header row)
+
+import { readFileSync } from "node:fs";
+
+const DEFAULT_ALIASES_URL = new URL("../config/terminal-aliases.json", import.meta.url);
+
+// Helper: terminal codes compare upper-cased with collapsed whitespace
+const normCode = (v) => String(v ?? "").trim().replace(/\s+/g, " ").toUpperCase();
+
+let ALIASES = null;
+
+/**
+ * Load (and cache) the alias registry as a Map of normalized alias -> canonical code.
+ */
+export function loadTerminalAliases(force = false) {
+  if (ALIASES && !force) return ALIASES;
+
+  const path = process.env.TERMINAL_ALIASES_PATH || DEFAULT_ALIASES_URL;
+  const map = new Map();
+
+  try {
+    const text = readFileSync(path, "utf8");
+    if (String(path).toLowerCase().endsWith(".csv")) {
+      for (const line of text.split(/\r?\n/)) {
+        const [alias, canonical] = line.split(",").map(normCode);
+        if (!alias || !canonical) continue;
+        if (alias === "ALIAS" && canonical === "CANONICAL") continue; // header row
+        map.set(alias, canonical);
+      }
+    } else {
+      const j = JSON.parse(text);
+      for (const [canonical, aliases] of Object.entries(j || {})) {
+        const code = normCode(canonical);
+        map.set(code, code);
+        for (const a of Array.isArray(aliases) ? aliases : []) {
+          map.set(normCode(a), code);
+        }
+      }
+    }
+  } catch (e) {
+    console.warn("Terminal alias registry not loaded:", e?.message || e);
+  }
+
+  ALIASES = map;
+  return ALIASES;
+}
+
+/**
+ * Canonical terminal for a raw FMS/TMS location, or null when blank.
+ * Codes missing from the registry are kept as-is (normalized).
+ */
+export function canonicalTerminal(raw, aliases = loadTerminalAliases()) {
+  const code = normCode(raw);
+  if (!code) return null;
+  return aliases.get(code) || code;
+}
+
+/**
+ * Every code the registry knows for a terminal (the canonical code first),
+ * for searching a system by location.
+ */
+export function terminalAliases(raw, aliases = loadTerminalAliases()) {
+  const code = canonicalTerminal(raw, aliases);
+  if (!code) return [];
+  const names = [...aliases].filter(([, canonical]) => canonical === code).map(([alias]) => alias);
+  return [code, ...names.filter((a) => a !== code)];
+}
+
+/**
+ * Compare FMS and TMS locations.
+ * locationMatch is null when either side has no location to compare.
+ */
+export function compareLocations(fmsLoc, tmsLoc, aliases = loadTerminalAliases()) {
+  const fmsTerminal = canonicalTerminal(fmsLoc, aliases);
+  const tmsTerminal = canonicalTerminal(tmsLoc, aliases);
+
+  if (!fmsTerminal || !tmsTerminal) {
+    return { locationMatch: null, canonicalLoc: fmsTerminal || tmsTerminal, fmsTerminal, tmsTerminal };
+  }
+
+  const locationMatch = fmsTerminal === tmsTerminal;
+  return {
+    locationMatch,
+    canonicalLoc: locationMatch ? fmsTerminal : null,
+    fmsTerminal,
+    tmsTerminal
+  };
+}
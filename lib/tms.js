@@ -0,0 +1,334 @@
+// lib/tms.js
+// TMS client shared by the check endpoints: login, group switch, trace search.
+//
+// The UserID/UserToken pair is cached for TMS_SESSION_TTL_MS. A 401/403 or a
+// "not logged in" payload from TMS triggers one re-login (group included) and
+// a replay of the call. Requests go over the shared upstream client
+// (timeouts, retries, circuit breaker).
+
+import { AuthExpiredError, createSession } from "./sessions.js";
+import { createUpstream } from "./upstream.js";
+import { UpstreamError } from "./errors.js";
+
+// Helper: normalize PROs the same way the handlers do
+const cleanPro = (v) => String(v ?? "").trim();
+
+/* ========================
+   CONFIG
+======================== */
+const TMS_BASE       = process.env.TMS_BASE_URL || "https://tms.freightapp.com";
+const TMS_LOGIN_PATH = "/write/check_login.php";
+const TMS_TRACE_PATH = "/write_new/get_tms_trace.php";
+const TMS_LOGIN_URL  = `${TMS_BASE}${TMS_LOGIN_PATH}`;
+const TMS_GROUP_URL  = `${TMS_BASE}/write_new/write_change_user_group.php`;
+const TMS_TRACE_URL  = `${TMS_BASE}${TMS_TRACE_PATH}`;
+
+// Endpoint reported for a PRO that TMS trace didn't return
+export const TMS_TRACE_ENDPOINT = TMS_TRACE_PATH;
+
+// Defaults to your known credentials if env not set
+const TMS_USER     = process.env.TMS_USER || "cmosqueda";
+const TMS_PASS     = process.env.TMS_PASS || "UWF2NjUyODk="; // base64 string as used by UI
+const TMS_GROUP_ID = process.env.TMS_GROUP_ID || "28";
+
+// PROs sent per trace request; larger lists are split and merged
+const TMS_TRACE_CHUNK = 200;
+// Rows per trace page, and a safety stop for paged (filter-only) traces
+const TMS_TRACE_PAGE_SIZE = 10000;
+const TMS_TRACE_MAX_PAGES = 20;
+
+const TMS_SESSION_TTL_MS = Number(process.env.TMS_SESSION_TTL_MS) || 20 * 60 * 1000;
+// Per-attempt timeouts; trace requests return up to 10000 rows, so they get longer
+const TMS_TIMEOUT_MS       = Number(process.env.TMS_TIMEOUT_MS) || 15 * 1000;
+const TMS_TRACE_TIMEOUT_MS = Number(process.env.TMS_TRACE_TIMEOUT_MS) || 60 * 1000;
+
+const tmsHttp = createUpstream("tms", { timeoutMs: TMS_TIMEOUT_MS });
+
+// Messages TMS returns (with HTTP 200) once a UserToken is no longer valid
+const TMS_LOGGED_OUT_RE = /not\s*log(ged)?\s*in|login required|please log ?in|session (has )?(expired|timed? ?out)|invalid (user)?token/i;
+
+/* ========================
+   AUTH / SESSION
+======================== */
+async function loginTms() {
+  const body = new URLSearchParams();
+  body.set("username", TMS_USER);
+  body.set("password", TMS_PASS);
+  body.set("UserID", "null");
+  body.set("UserToken", "null");
+  body.set("pageName", "/index.html");
+
+  const r = await tmsHttp.call(TMS_LOGIN_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
+      "X-Requested-With": "XMLHttpRequest",
+      "Origin": "https://tms.freightapp.com",
+      "Referer": "https://tms.freightapp.com/index.html",
+      "User-Agent": "Mozilla/5.0"
+    },
+    body,
+    redirect: "follow"
+  }, { call: "login" });
+
+  if (!r.ok) throw tmsError("auth_failed", TMS_LOGIN_PATH, `TMS auth HTTP ${r.status}`, r.status);
+  const j = await r.json().catch(() => ({}));
+
+  const uid   = j.UserID    ?? j.user_id   ?? null;
+  const token = j.UserToken ?? j.userToken ?? null;
+
+  if (!uid || !token) {
+    throw tmsError("auth_failed", TMS_LOGIN_PATH, "TMS auth: missing UserID/UserToken");
+  }
+
+  // Group is tied to the login, so switch it once per session
+  await tmsChangeGroup(uid, token);
+
+  return { userId: uid, token };
+}
+
+export const tmsSession = createSession("tms", loginTms, TMS_SESSION_TTL_MS);
+
+export function authTms(force = false) {
+  return tmsSession.get(force);
+}
+
+function tmsError(code, endpoint, message, status = null) {
+  return new UpstreamError(code, { system: "tms", endpoint, status, message });
+}
+
+// Helper: true when a TMS payload says the session is gone
+function isLoggedOut(j) {
+  if (!j || Array.isArray(j) || typeof j !== "object") return false;
+  const text = [j.msg, j.message, j.error, j.status, j.info]
+    .filter((v) => typeof v === "string")
+    .join(" ");
+  return TMS_LOGGED_OUT_RE.test(text);
+}
+
+async function tmsChangeGroup(userId, userToken) {
+  const body = new URLSearchParams();
+  body.set("group_id", String(TMS_GROUP_ID));
+  body.set("UserID", String(userId));
+  body.set("UserToken", String(userToken));
+  body.set("pageName", "dashboard");
+
+  const r = await tmsHttp.call(TMS_GROUP_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
+      "X-Requested-With": "XMLHttpRequest",
+      "Origin": "https://tms.freightapp.com",
+      "Referer": "https://tms.freightapp.com/dev.html",
+      "User-Agent": "Mozilla/5.0"
+    },
+    body
+  }, { call: "change group" });
+
+  if (!r.ok) {
+    console.warn("TMS group change HTTP", r.status);
+  }
+}
+
+/* ========================
+   TRACE
+======================== */
+/**
+ * Single TMS trace call using the real browser payload structure.
+ * `filters` overrides individual form fields (e.g. input_filter_pro).
+ * Returns the raw trace rows.
+ */
+export function tmsTrace(filters = {}) {
+  return tmsSession.run((auth) => tmsTraceWith(auth, filters));
+}
+
+// Helper: "trace input_filter_pro (200)" for retry/short-circuit reports
+function traceLabel(filters) {
+  const [field, value] = Object.entries(filters)[0] || [];
+  if (!field) return "trace";
+  return `trace ${field} (${String(value ?? "").split("\n").filter(Boolean).length})`;
+}
+
+async function tmsTraceWith(auth, filters) {
+  const { userId, token } = auth;
+  const body = new URLSearchParams();
+
+  body.set("input_filter_tracking_num", "");
+  body.set("input_billing_reference", "");
+  body.set("input_filter_pro", "");
+  body.set("input_filter_trip", "");
+  body.set("input_filter_order", "");
+  body.set("input_filter_pu", "");
+  body.set("input_filter_pickup_from", "");
+  body.set("input_filter_pickup_to", "");
+  body.set("input_filter_delivery_from", "");
+  body.set("input_filter_delivery_to", "");
+  body.set("input_filter_shipper", "");
+  body.set("input_filter_shipper_code", "");
+  body.set("input_filter_shipper_street", "");
+  body.set("input_filter_shipper_city", "");
+  body.set("input_filter_shipper_state", "0");
+  body.set("input_filter_shipper_phone", "");
+  body.set("input_filter_shipper_zip", "");
+  body.set("input_filter_consignee", "");
+  body.set("input_filter_consignee_code", "");
+  body.set("input_filter_consignee_street", "");
+  body.set("input_filter_consignee_city", "");
+  body.set("input_filter_consignee_state", "0");
+  body.set("input_filter_consignee_phone", "");
+  body.set("input_filter_consignee_zip", "");
+  body.set("input_filter_billto", "");
+  body.set("input_filter_billto_code", "");
+  body.set("input_filter_billto_street", "");
+  body.set("input_filter_billto_city", "");
+  body.set("input_filter_billto_state", "0");
+  body.set("input_filter_billto_phone", "");
+  body.set("input_filter_billto_zip", "");
+  body.set("input_filter_manifest", "");
+  body.set("input_filter_interline", "");
+  body.set("input_filter_pieces", "");
+  body.set("input_filter_trailer", "");
+  body.set("input_filter_weight", "");
+  body.set("input_filter_pallet", "");
+  body.set("input_filter_ref", "");
+  body.set("input_filter_load", "");
+  body.set("input_filter_po", "");
+  body.set("input_filter_pickup_apt", "");
+  body.set("input_filter_pickup_actual_from", "");
+  body.set("input_filter_pickup_actual_to", "");
+  body.set("input_filter_delivery_apt", "");
+  body.set("input_filter_delivery_actual_from", "");
+  body.set("input_filter_delivery_actual_to", "");
+  body.set("input_filter_cust_po", "");
+  body.set("input_filter_cust_ref", "");
+  body.set("input_filter_cust_pro", "");
+  body.set("input_filter_cust_bol", "");
+  body.set("input_filter_cust_dn", "");
+  body.set("input_filter_cust_so", "");
+  body.set("input_filter_tender_pro", "");
+  body.set("input_carrier_name", "");
+  body.set("input_carrier_pro", "");
+  body.set("input_carrier_inv", "");
+  body.set("input_hold", "0");
+  body.set("input_filter_group", "0");
+  body.set("input_wa1", "0");
+  body.set("input_wa2", "0");
+  body.set("input_has_pro", "0");
+  body.set("input_filter_scac", "");
+  body.set("input_exclude_delivered", "0");
+  body.set("input_filter_created_by", "");
+  body.set("input_include_cancel", "0");
+  body.set("input_carrier_type", "1");
+  body.set("input_approved", "-1");
+  body.set("input_fk_revenue_id", "0");
+  body.set("input_stage_id", "");
+  body.set("input_status_id", "");
+  body.set("input_filter_create_date_from", "");
+  body.set("input_filter_create_date_to", "");
+  body.set("input_filter_tracking_no", "");
+  body.set("input_filter_contriner", "");
+  body.set("input_filter_cust_rn", "");
+  body.set("input_page_num", "1");
+  body.set("input_page_size", String(TMS_TRACE_PAGE_SIZE));
+  body.set("input_total_rows", "0");
+  body.set("UserID", String(userId));
+  body.set("UserToken", String(token));
+  body.set("pageName", "dashboardTmsTrace");
+
+  for (const [k, v] of Object.entries(filters)) {
+    body.set(k, String(v ?? ""));
+  }
+
+  const r = await tmsHttp.call(TMS_TRACE_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
+      "X-Requested-With": "XMLHttpRequest",
+      "Origin": "https://tms.freightapp.com",
+      "Referer": "https://tms.freightapp.com/dev.html",
+      "User-Agent": "Mozilla/5.0"
+    },
+    body
+  }, { call: traceLabel(filters), timeoutMs: TMS_TRACE_TIMEOUT_MS });
+
+  if (r.status === 401 || r.status === 403) {
+    throw new AuthExpiredError("tms", `TMS rejected token (HTTP ${r.status})`);
+  }
+  if (!r.ok) {
+    throw tmsError("http_error", TMS_TRACE_PATH, `TMS trace HTTP ${r.status}`, r.status);
+  }
+
+  // An empty body means no rows; anything else has to be JSON
+  const text = await r.text();
+  let j = {};
+  if (text.trim()) {
+    try {
+      j = JSON.parse(text);
+    } catch {
+      throw tmsError("parse_error", TMS_TRACE_PATH, "TMS trace returned invalid JSON", r.status);
+    }
+  }
+  if (isLoggedOut(j)) throw new AuthExpiredError("tms", "TMS session not logged in");
+
+  let rows = null;
+  if (Array.isArray(j)) rows = j;
+  else if (Array.isArray(j?.data)) rows = j.data;
+  else if (Array.isArray(j?.rows)) rows = j.rows;
+  else if (Array.isArray(j?.result)) rows = j.result;
+
+  return rows || [];
+}
+
+/**
+ * Trace a list of values through one filter field (input_filter_pro,
+ * input_filter_order, ...), split into TMS_TRACE_CHUNK sized requests.
+ * Returns the rows of every chunk.
+ */
+export async function tmsTraceBy(filter, values) {
+  const list = values.map(v => String(v ?? "").trim()).filter(Boolean);
+  const rows = [];
+
+  for (let i = 0; i < list.length; i += TMS_TRACE_CHUNK) {
+    const chunk = list.slice(i, i + TMS_TRACE_CHUNK);
+    rows.push(...await tmsTrace({ [filter]: chunk.join("\n") }));
+  }
+  return rows;
+}
+
+/**
+ * Trace by filters alone (terminal, dates, ...), reading page after page
+ * until TMS returns a short one. Returns { rows, capped }; capped is true
+ * when TMS_TRACE_MAX_PAGES full pages were read and more may exist.
+ */
+export async function tmsTracePages(filters) {
+  const rows = [];
+  for (let page = 1; ; page++) {
+    const pageRows = await tmsTrace({ ...filters, input_page_num: page });
+    rows.push(...pageRows);
+    if (pageRows.length < TMS_TRACE_PAGE_SIZE) return { rows, capped: false };
+    if (page === TMS_TRACE_MAX_PAGES) {
+      console.warn(`TMS trace stopped at the ${TMS_TRACE_MAX_PAGES} page limit`);
+      return { rows, capped: true };
+    }
+  }
+}
+
+/**
+ * Trace a PRO list in chunks.
+ * Returns a map from cleaned PRO -> rows, merged across chunks. TMS can hold
+ * more than one order for a PRO, so every distinct tms_order_id is kept.
+ */
+export async function tmsTraceForPros(pros) {
+  const rows = await tmsTraceBy("input_filter_pro", pros.map(cleanPro));
+
+  const map = new Map();
+  for (const rw of rows) {
+    const key = cleanPro(rw.tms_order_pro);
+    if (!key) continue;
+    const list = map.get(key) || [];
+    if (!list.some((x) => x.tms_order_id === rw.tms_order_id)) list.push(rw);
+    map.set(key, list);
+  }
+
+  return map;
+}
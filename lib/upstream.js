@@ -0,0 +1,247 @@
+// lib/upstream.js
+// Shared HTTP client for the FMS and TMS calls: per-call timeouts, bounded
+// retries with jittered backoff, and a circuit breaker per system.
+//
+// The timeout covers the whole response, body included: call() resolves to a
+// Response whose body has already been read, so a server that sends headers
+// and then stalls still times out.
+//
+// Transient failures (network errors, timeouts, HTTP 429/5xx) are retried up to
+// UPSTREAM_RETRIES times. After UPSTREAM_BREAKER_THRESHOLD consecutive failed
+// calls the system's circuit opens and calls fail fast with CircuitOpenError
+// for UPSTREAM_BREAKER_COOLDOWN_MS; then a single probe call decides whether
+// it closes again.
+//
+// Retried and short-circuited calls are recorded on every active callTracker(),
+// so a request (or a single result) can report which calls were affected.
+
+import { AsyncLocalStorage } from "node:async_hooks";
+
+/* ========================
+   CONFIG
+======================== */
+const RETRIES            = numEnv("UPSTREAM_RETRIES", 2);
+const BACKOFF_BASE_MS    = numEnv("UPSTREAM_BACKOFF_MS", 300);
+const BACKOFF_MAX_MS     = numEnv("UPSTREAM_BACKOFF_MAX_MS", 3000);
+const BREAKER_THRESHOLD  = numEnv("UPSTREAM_BREAKER_THRESHOLD", 5);
+const BREAKER_COOLDOWN_MS = numEnv("UPSTREAM_BREAKER_COOLDOWN_MS", 30 * 1000);
+
+// Retried/short-circuited calls listed per request; the counts stay exact
+const MAX_REPORTED_CALLS = 100;
+
+/**
+ * A finite, non-negative number from the environment, else `fallback`.
+ */
+export function numEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 && process.env[name] !== "" ? n : fallback;
+}
+
+/* ========================
+   ERRORS
+======================== */
+export class UpstreamTimeoutError extends Error {
+  constructor(system, call, timeoutMs, endpoint = null) {
+    super(`${system} ${call} timed out after ${timeoutMs}ms`);
+    this.name = "UpstreamTimeoutError";
+    this.system = system;
+    this.call = call;
+    this.endpoint = endpoint;
+  }
+}
+
+export class CircuitOpenError extends Error {
+  constructor(system, call, endpoint = null) {
+    super(`${system} circuit open; skipped ${call}`);
+    this.name = "CircuitOpenError";
+    this.system = system;
+    this.call = call;
+    this.endpoint = endpoint;
+  }
+}
+
+/**
+ * True for failures where the upstream never gave a usable answer
+ * (network error, timeout, open circuit).
+ */
+export function isUnreachable(e) {
+  return !!e && (e.name === "TypeError" || e instanceof UpstreamTimeoutError || e instanceof CircuitOpenError);
+}
+
+/* ========================
+   CALL TRACKING
+======================== */
+const trackerStore = new AsyncLocalStorage();
+
+/**
+ * Collect the retried and short-circuited calls made inside `run(fn)`.
+ * Trackers nest: a call is recorded on every tracker it runs under.
+ */
+export function callTracker() {
+  const retried = [];
+  const shortCircuited = [];
+
+  const tracker = {
+    record(ev) {
+      if (ev.shortCircuited) shortCircuited.push({ system: ev.system, call: ev.call });
+      else retried.push({ system: ev.system, call: ev.call, attempts: ev.attempts, ok: ev.ok });
+    },
+    run(fn) {
+      const parents = trackerStore.getStore() || [];
+      return trackerStore.run([...parents, tracker], fn);
+    },
+    any() {
+      return retried.length > 0 || shortCircuited.length > 0;
+    },
+    report(limit = MAX_REPORTED_CALLS) {
+      return {
+        retried: retried.slice(0, limit),
+        shortCircuited: shortCircuited.slice(0, limit),
+        retriedCount: retried.length,
+        shortCircuitedCount: shortCircuited.length,
+        circuits: circuitStates()
+      };
+    }
+  };
+  return tracker;
+}
+
+function recordCall(ev) {
+  for (const t of trackerStore.getStore() || []) t.record(ev);
+}
+
+/* ========================
+   CLIENT
+======================== */
+const CLIENTS = new Map();
+
+function circuitStates() {
+  const out = {};
+  for (const [name, c] of CLIENTS) out[name] = c.circuit();
+  return out;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Full jitter: anywhere between 0 and the capped exponential step
+const backoffMs = (attempt) =>
+  Math.round(Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt));
+
+const isTransientStatus = (status) => status === 429 || status >= 500;
+
+// Statuses a Response can't be constructed with a body for
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+
+/**
+ * Buffered copy of a response, read while the attempt's timer is armed; the
+ * copy can be read after the timer is cleared.
+ */
+async function readBody(res) {
+  const body = NULL_BODY_STATUSES.has(res.status) ? null : await res.arrayBuffer();
+  return new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+}
+
+// Helper: URL path, which is what error reports show as the endpoint
+function pathOf(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return String(url);
+  }
+}
+
+/**
+ * Create the client for one upstream system.
+ * `timeoutMs` is the default per-attempt timeout; call() can override it.
+ * `retries` overrides UPSTREAM_RETRIES for this client.
+ */
+export function createUpstream(system, { timeoutMs, retries = RETRIES }) {
+  let failures  = 0;     // consecutive failed calls
+  let openUntil = 0;     // circuit open while Date.now() < openUntil
+  let probing   = false; // half-open: one call is testing the upstream
+
+  function circuit() {
+    if (Date.now() < openUntil) return "open";
+    return failures >= BREAKER_THRESHOLD ? "half_open" : "closed";
+  }
+
+  // `final`: no retry follows, so even a transient failure's body is read
+  async function attempt(url, opts, call, ms, final) {
+    const ctrl  = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), ms);
+    try {
+      const res = await fetch(url, { ...opts, signal: ctrl.signal });
+      // A response that is about to be retried is dropped unread
+      if (!final && isTransientStatus(res.status)) {
+        await res.body?.cancel();
+        return res;
+      }
+      return await readBody(res);
+    } catch (e) {
+      if (ctrl.signal.aborted) throw new UpstreamTimeoutError(system, call, ms, pathOf(url));
+      // Network errors: tag them so reports can tell which system/endpoint failed
+      if (e && typeof e === "object") {
+        e.system ??= system;
+        e.endpoint ??= pathOf(url);
+      }
+      throw e;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * fetch() with timeout, retries and the circuit breaker.
+   * Resolves to the last Response (callers still check r.ok); rejects with
+   * the last network/timeout error or CircuitOpenError.
+   */
+  async function call(url, opts = {}, { call = "request", timeoutMs: ms = timeoutMs } = {}) {
+    const state = circuit();
+    if (state === "open" || (state === "half_open" && probing)) {
+      recordCall({ system, call, shortCircuited: true });
+      throw new CircuitOpenError(system, call, pathOf(url));
+    }
+    const isProbe = state === "half_open";
+    if (isProbe) probing = true;
+
+    let attempts = 0;
+    let lastErr = null;
+    let res = null;
+    try {
+      for (;;) {
+        attempts++;
+        lastErr = null;
+        res = null;
+        try {
+          res = await attempt(url, opts, call, ms, attempts > retries || isProbe);
+        } catch (e) {
+          if (!isUnreachable(e)) throw e;
+          lastErr = e;
+        }
+
+        const transient = lastErr || isTransientStatus(res.status);
+        if (!transient || attempts > retries || isProbe) break;
+        await sleep(backoffMs(attempts - 1));
+      }
+    } finally {
+      if (isProbe) probing = false;
+    }
+
+    const failed = !!lastErr || isTransientStatus(res.status);
+    if (failed) {
+      failures++;
+      if (failures >= BREAKER_THRESHOLD) openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+    } else {
+      failures = 0;
+      openUntil = 0;
+    }
+
+    if (attempts > 1) recordCall({ system, call, attempts, ok: !failed });
+    if (lastErr) throw lastErr;
+    return res;
+  }
+
+  const client = { call, circuit };
+  CLIENTS.set(system, client);
+  return client;
+}
@@ -0,0 +1,136 @@
+// lib/verdict.js
+// FMS vs TMS status comparison shared by the check endpoints.
+//
+// FMS order_status_describe is compared against TMS tms_order_stage, and
+// FMS order_sub_status_describe against TMS tms_order_status. The two systems
+// use different wording, so values are matched through an equivalence table
+// (config/status-equivalence.json, or STATUS_EQUIVALENCE_PATH if set).
+
+import { readFileSync } from "node:fs";
+import { describeError } from "./errors.js";
+
+const DEFAULT_TABLE_URL = new URL("../config/status-equivalence.json", import.meta.url);
+
+// Helper: case/whitespace-insensitive key for status text
+const norm = (v) => String(v ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+
+let TABLE = null;
+
+/**
+ * Load (and cache) the status equivalence table.
+ * Shape: { statuses: [{ fms: [...], tms: [...] }], substatuses: [...] }
+ */
+export function loadStatusEquivalence(force = false) {
+  if (TABLE && !force) return TABLE;
+
+  const path = process.env.STATUS_EQUIVALENCE_PATH || DEFAULT_TABLE_URL;
+  let raw = {};
+  try {
+    raw = JSON.parse(readFileSync(path, "utf8"));
+  } catch (e) {
+    console.warn("Status equivalence table not loaded:", e?.message || e);
+  }
+
+  TABLE = {
+    statuses: indexRules(raw.statuses),
+    substatuses: indexRules(raw.substatuses)
+  };
+  return TABLE;
+}
+
+/**
+ * Turn [{ fms: [...], tms: [...] }] into a Map of FMS value -> Set of TMS values.
+ * An FMS value listed in several rules accepts the union of their TMS values.
+ */
+function indexRules(rules) {
+  const map = new Map();
+  if (!Array.isArray(rules)) return map;
+
+  for (const rule of rules) {
+    const fmsVals = Array.isArray(rule?.fms) ? rule.fms : [];
+    const tmsVals = Array.isArray(rule?.tms) ? rule.tms : [];
+    for (const f of fmsVals) {
+      const key = norm(f);
+      if (!key) continue;
+      if (!map.has(key)) map.set(key, new Set());
+      for (const t of tmsVals) map.get(key).add(norm(t));
+    }
+  }
+  return map;
+}
+
+/**
+ * True when the FMS value is equivalent to the TMS value.
+ * Values not covered by the table fall back to a plain text compare.
+ */
+function isEquivalent(rules, fmsVal, tmsVal) {
+  const f = norm(fmsVal);
+  const t = norm(tmsVal);
+  const allowed = rules.get(f);
+  if (allowed) return allowed.has(t);
+  return f === t;
+}
+
+/**
+ * True when an FMS and a TMS value agree under the equivalence table.
+ * `kind` is "statuses" (FMS status vs TMS stage) or "substatuses".
+ */
+export function statusesEquivalent(kind, fmsVal, tmsVal, table = loadStatusEquivalence()) {
+  return isEquivalent(table[kind] || new Map(), fmsVal, tmsVal);
+}
+
+/**
+ * Compute the verdict for one merged { fms, tms } result.
+ * Returns { verdict, verdictReason } where verdict is one of:
+ * match, status_mismatch, substatus_mismatch, missing_in_fms, missing_in_tms,
+ * duplicate, error
+ */
+export function computeVerdict(result, table = loadStatusEquivalence()) {
+  const f = result?.fms || {};
+  const t = result?.tms || {};
+
+  // Couldn't check one side: not_found is a finding, every other code is an error
+  if (f.error && f.error.code !== "not_found") {
+    return { verdict: "error", verdictReason: `FMS ${describeError(f.error)}` };
+  }
+  if (t.error && t.error.code !== "not_found") {
+    return { verdict: "error", verdictReason: `TMS ${describeError(t.error)}` };
+  }
+  if (!t.attempted) {
+    return { verdict: "error", verdictReason: "TMS was not checked" };
+  }
+
+  // Several records for one shipment: no single pair to compare
+  if (f.duplicate || t.duplicate) {
+    const parts = [];
+    if (f.duplicate) parts.push(`FMS has ${f.DOs.length} orders (${f.DOs.join(" / ")})`);
+    if (t.duplicate) parts.push(`TMS has ${t.orderIds.length} orders (${t.orderIds.join(" / ")})`);
+    return { verdict: "duplicate", verdictReason: parts.join("; ") };
+  }
+
+  if (!f.hasDO && !t.ok) {
+    return { verdict: "missing_in_fms", verdictReason: "Not found in FMS or TMS" };
+  }
+  if (!f.hasDO) {
+    return { verdict: "missing_in_fms", verdictReason: "No FMS order for this shipment" };
+  }
+  if (!t.ok) {
+    return { verdict: "missing_in_tms", verdictReason: "No TMS order for this shipment" };
+  }
+
+  if (!isEquivalent(table.statuses, f.status, t.status)) {
+    return {
+      verdict: "status_mismatch",
+      verdictReason: `FMS ${f.status ?? "-"} vs TMS ${t.status ?? "-"}`
+    };
+  }
+  if (!isEquivalent(table.substatuses, f.substatus, t.substatus)) {
+    return {
+      verdict: "substatus_mismatch",
+      verdictReason: `FMS ${f.substatus ?? "-"} vs TMS ${t.substatus ?? "-"}`
+    };
+  }
+
+  const reason = f.partial ? "Statuses agree (FMS details partial)" : "Statuses agree";
+  return { verdict: "match", verdictReason: reason };
+}
@@ -0,0 +1,500 @@
+// lib/watchlists.js
+// Saved watchlists: named PRO lists kept server-side and re-checked on an
+// interval through the by-PRO pipeline. Every run is saved to the check
+// history (mode "watchlist") and compared with what the watchlist last knew of
+// each PRO. Status transitions are recorded on the watchlist; an alert goes to
+// the notifier (lib/notify.js) when a PRO's verdict changes, it goes missing
+// from FMS or TMS, or it is delivered. The run also goes to the outbound
+// notification targets (lib/webhooks.js) with its alerts.
+//
+// WATCHLIST_STORE picks where watchlists live:
+//   file    (default) a JSON file at WATCHLIST_PATH (os.tmpdir() if unset)
+//   memory  this process only
+// setWatchlistStore() installs any other backend with the same methods:
+//   list(), get(id), save(watchlist), update(id, change), remove(id)
+// On Vercel every function instance has its own temp directory, so the cron
+// would never see the watchlists saved through api/watchlists.js: there the
+// file store requires WATCHLIST_PATH (storage every instance mounts) and
+// fails without it.
+//
+// runDueWatchlists() runs every enabled list whose interval has passed.
+// api/watchlist-run.js calls it for the cron in vercel.json; a long-running
+// process can call startWatchScheduler() instead.
+
+import { randomUUID } from "node:crypto";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { checkByPro, prepareInputs } from "./check.js";
+import { checkReport } from "./report.js";
+import { snapshotResult } from "./history.js";
+import { sendAlerts } from "./notify.js";
+import { notifyRun, runEvent } from "./webhooks.js";
+import { jsonFile } from "./jsonfile.js";
+import { statusesEquivalent } from "./verdict.js";
+
+/* ========================
+   CONFIG
+======================== */
+const WATCHLIST_PATH     = process.env.WATCHLIST_PATH || join(tmpdir(), "fms-tms-watchlists.json");
+const WATCHLIST_MAX_PROS = Number(process.env.WATCHLIST_MAX_PROS) || 500;
+// Oldest transitions are dropped beyond this many per watchlist
+const WATCHLIST_MAX_TRANSITIONS = Number(process.env.WATCHLIST_MAX_TRANSITIONS) || 500;
+// How often startWatchScheduler() looks for due watchlists
+const WATCHLIST_TICK_MS  = Number(process.env.WATCHLIST_TICK_MS) || 60 * 1000;
+
+export const WATCHLIST_INTERVALS = { min: 5, max: 7 * 24 * 60, default: 60 }; // minutes
+const NAME_MAX = 100;
+
+// FMS status / TMS stage meaning delivered, matched through the equivalence table
+const DELIVERED = "Delivered";
+
+// Helper: case/whitespace-insensitive text compare
+const norm = (v) => String(v ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+
+/* ========================
+   STORES
+======================== */
+/**
+ * Watchlists kept in process memory.
+ */
+export function createMemoryWatchlistStore(lists = []) {
+  return {
+    async list() {
+      return lists;
+    },
+
+    async get(id) {
+      return lists.find((w) => w.id === id) || null;
+    },
+
+    async save(watchlist) {
+      const i = lists.findIndex((w) => w.id === watchlist.id);
+      if (i < 0) lists.push(watchlist);
+      else lists[i] = watchlist;
+    },
+
+    // change(current) resolves to the new watchlist, or null to leave it as
+    // is; resolves to what was saved (null for an unknown id or no change)
+    async update(id, change) {
+      const i = lists.findIndex((w) => w.id === id);
+      if (i < 0) return null;
+      const next = await change(lists[i]);
+      if (next) lists[i] = next;
+      return next || null;
+    },
+
+    async remove(id) {
+      const i = lists.findIndex((w) => w.id === id);
+      if (i < 0) return false;
+      lists.splice(i, 1);
+      return true;
+    }
+  };
+}
+
+/**
+ * Watchlists kept in a JSON file. Every call reads the file, and a save,
+ * update or removal re-reads it in the write queue, so changes other
+ * processes made to it (a run's state, a new watchlist) are neither missed
+ * nor overwritten; update() applies its change to the re-read watchlist.
+ */
+export function createFileWatchlistStore(path = WATCHLIST_PATH) {
+  const file = jsonFile(path, { watchlists: [] });
+
+  const store = async () => createMemoryWatchlistStore((await file.read()).watchlists || []);
+
+  // Apply one change to the current file contents; resolves to its result
+  const edit = async (apply) => {
+    let result;
+    await file.update(async (doc) => {
+      const watchlists = doc.watchlists || [];
+      result = await apply(createMemoryWatchlistStore(watchlists));
+      return { watchlists };
+    });
+    return result;
+  };
+
+  return {
+    list: async () => (await store()).list(),
+    get: async (id) => (await store()).get(id),
+    save: (watchlist) => edit((s) => s.save(watchlist)),
+    update: (id, change) => edit((s) => s.update(id, change)),
+    remove: (id) => edit((s) => s.remove(id))
+  };
+}
+
+const BUILTIN_STORES = {
+  file: () => {
+    if (process.env.VERCEL && !process.env.WATCHLIST_PATH) {
+      throw new Error("WATCHLIST_PATH must point at storage every function instance shares (or set WATCHLIST_STORE)");
+    }
+    return createFileWatchlistStore();
+  },
+  memory: () => createMemoryWatchlistStore()
+};
+
+let STORE;
+
+/**
+ * The configured store.
+ */
+export function watchlistStore() {
+  if (!STORE) {
+    const name = process.env.WATCHLIST_STORE || "file";
+    if (!BUILTIN_STORES[name]) console.warn(`Unknown WATCHLIST_STORE "${name}"; using file`);
+    STORE = (BUILTIN_STORES[name] || BUILTIN_STORES.file)();
+  }
+  return STORE;
+}
+
+/**
+ * Install a custom watchlist backend.
+ */
+export function setWatchlistStore(store) {
+  STORE = store;
+}
+
+/* ========================
+   WATCHLISTS
+======================== */
+/**
+ * Validate a create (no `current`) or update body:
+ *   { name, pros: [...], intervalMinutes?, enabled? }
+ * An update keeps whatever the body leaves out. Returns { fields, meta }
+ * (meta from prepareInputs when pros were given) or { error }.
+ */
+export function prepareWatchlist(body = {}, current = null) {
+  const name = String(body.name ?? current?.name ?? "").trim().replace(/\s+/g, " ");
+  if (!name) return { error: "name is required" };
+  if (name.length > NAME_MAX) return { error: `name must be at most ${NAME_MAX} characters` };
+
+  let pros = current?.pros;
+  let meta = null;
+  if (!current || body.pros !== undefined) {
+    if (!Array.isArray(body.pros) || body.pros.length === 0) {
+      return { error: "pros must be a non-empty array" };
+    }
+    const inputs = prepareInputs(body.pros, "pro");
+    if (!inputs.unique.length) return { error: "pros has no valid PRO" };
+    if (inputs.unique.length > WATCHLIST_MAX_PROS) {
+      return { error: `A watchlist holds at most ${WATCHLIST_MAX_PROS} PROs (got ${inputs.unique.length})` };
+    }
+    pros = inputs.unique;
+    meta = inputs.meta;
+  }
+
+  const intervalMinutes = Number(body.intervalMinutes ?? current?.intervalMinutes ?? WATCHLIST_INTERVALS.default);
+  if (!Number.isInteger(intervalMinutes)
+      || intervalMinutes < WATCHLIST_INTERVALS.min || intervalMinutes > WATCHLIST_INTERVALS.max) {
+    return { error: `intervalMinutes must be a whole number from ${WATCHLIST_INTERVALS.min} to ${WATCHLIST_INTERVALS.max}` };
+  }
+
+  const enabled = body.enabled ?? current?.enabled ?? true;
+  if (typeof enabled !== "boolean") return { error: "enabled must be true or false" };
+
+  return { fields: { name, pros, intervalMinutes, enabled }, meta };
+}
+
+/**
+ * Save a new watchlist. Resolves to { watchlist, meta } or { error }.
+ */
+export async function createWatchlist(body, store = watchlistStore()) {
+  const { fields, meta, error } = prepareWatchlist(body);
+  if (error) return { error };
+
+  const now = new Date().toISOString();
+  const watchlist = {
+    id: randomUUID(),
+    ...fields,
+    createdAt: now,
+    updatedAt: now,
+    lastRunAt: null,
+    lastRunId: null,
+    lastError: null,
+    state: {},       // pro -> what the last run found (see watchState)
+    transitions: []  // oldest first
+  };
+  await store.save(watchlist);
+  return { watchlist, meta };
+}
+
+/**
+ * Change a watchlist's name, PROs, interval or enabled flag. PROs taken off
+ * the list lose their state. Resolves to null for an unknown id, else
+ * { watchlist, meta } or { error }.
+ */
+export async function updateWatchlist(id, body, store = watchlistStore()) {
+  // Validated and merged against the stored watchlist as the store re-reads it
+  let outcome = null;
+  await store.update(id, (current) => {
+    const { fields, meta, error } = prepareWatchlist(body, current);
+    if (error) {
+      outcome = { error };
+      return null;
+    }
+    const watchlist = {
+      ...current,
+      ...fields,
+      updatedAt: new Date().toISOString(),
+      state: keepState(current.state, fields.pros)
+    };
+    outcome = { watchlist, meta };
+    return watchlist;
+  });
+  return outcome;
+}
+
+// State of the PROs still on the list
+function keepState(state, pros) {
+  return Object.fromEntries(pros.filter((p) => state[p]).map((p) => [p, state[p]]));
+}
+
+// When the watchlist is next due (ISO), or null when it is disabled
+function nextRunAt(watchlist) {
+  if (!watchlist.enabled) return null;
+  if (!watchlist.lastRunAt) return watchlist.createdAt;
+  return new Date(Date.parse(watchlist.lastRunAt) + watchlist.intervalMinutes * 60 * 1000).toISOString();
+}
+
+function isDue(watchlist, now) {
+  const next = nextRunAt(watchlist);
+  return next !== null && Date.parse(next) <= now;
+}
+
+/**
+ * Watchlist without its PROs, state and transitions, for listings.
+ */
+export function watchlistInfo({ pros, state, transitions, ...info }) {
+  return {
+    ...info,
+    proCount: pros.length,
+    nextRunAt: nextRunAt(info),
+    alertCount: transitions.filter((t) => t.alert).length
+  };
+}
+
+/* ========================
+   TRANSITIONS
+======================== */
+const isDelivered = (s) =>
+  (s.fmsStatus != null && statusesEquivalent("statuses", s.fmsStatus, DELIVERED))
+  || (s.tmsStage != null && statusesEquivalent("statuses", DELIVERED, s.tmsStage));
+
+/**
+ * What a watchlist remembers of a PRO after a run. A side that couldn't be
+ * checked keeps what was known before, so an outage never reads as a change.
+ */
+function watchState(r, prev = {}, at) {
+  const s = snapshotResult(r);
+  const fms = !s.fmsError, tms = !s.tmsError;
+  const state = {
+    verdict: s.verdict !== "error" ? s.verdict : prev.verdict ?? null,
+    verdictReason: s.verdict !== "error" ? r.verdictReason ?? null : prev.verdictReason ?? null,
+    DO: fms ? s.DO : prev.DO ?? null,
+    fmsStatus: fms ? s.fmsStatus : prev.fmsStatus ?? null,
+    fmsLoc: fms ? s.fmsLoc : prev.fmsLoc ?? null,
+    inFms: fms ? !!r.fms?.hasDO : prev.inFms ?? null,
+    tmsOrderId: tms ? s.tmsOrderId : prev.tmsOrderId ?? null,
+    tmsStage: tms ? s.tmsStage : prev.tmsStage ?? null,
+    tmsLoc: tms ? s.tmsLoc : prev.tmsLoc ?? null,
+    inTms: tms ? !r.tms?.notFound : prev.inTms ?? null,
+    pu: s.pu ?? prev.pu ?? null,
+    checkedAt: at
+  };
+  state.delivered = isDelivered(state);
+  return state;
+}
+
+const statusPair = (s) => `FMS ${s.fmsStatus ?? "-"} / TMS ${s.tmsStage ?? "-"}`;
+
+// Changes between two states of a PRO; `alert` marks the ones that notify
+const TRANSITIONS = [
+  { kind: "verdict",        label: "Verdict",    alert: true,
+    test: (p, c) => p.verdict != null && c.verdict != null && p.verdict !== c.verdict,
+    values: (p, c) => [p.verdict, c.verdict] },
+  { kind: "missing_in_fms", label: "FMS order",  alert: true,
+    test: (p, c) => p.inFms === true && c.inFms === false,
+    values: (p) => [p.DO, null] },
+  { kind: "missing_in_tms", label: "TMS order",  alert: true,
+    test: (p, c) => p.inTms === true && c.inTms === false,
+    values: (p) => [p.tmsOrderId, null] },
+  { kind: "delivered",      label: "Delivered",  alert: true,
+    test: (p, c) => !p.delivered && c.delivered,
+    values: (p, c) => [statusPair(p), statusPair(c)] },
+  { kind: "fms_status",     label: "FMS status", alert: false,
+    test: (p, c) => norm(p.fmsStatus) !== norm(c.fmsStatus),
+    values: (p, c) => [p.fmsStatus, c.fmsStatus] },
+  { kind: "tms_stage",      label: "TMS stage",  alert: false,
+    test: (p, c) => norm(p.tmsStage) !== norm(c.tmsStage),
+    values: (p, c) => [p.tmsStage, c.tmsStage] }
+];
+
+function stateChanges(prev, cur) {
+  return TRANSITIONS.filter((t) => t.test(prev, cur)).map((t) => {
+    const [before, after] = t.values(prev, cur);
+    return { kind: t.kind, label: t.label, before, after, alert: t.alert };
+  });
+}
+
+function changeText(c) {
+  switch (c.kind) {
+    case "verdict":        return `verdict ${c.before} -> ${c.after}`;
+    case "missing_in_fms": return `no longer in FMS (was DO ${c.before ?? "-"})`;
+    case "missing_in_tms": return `no longer in TMS (was order ${c.before ?? "-"})`;
+    case "delivered":      return `delivered (${c.after})`;
+    default:               return `${c.label} ${c.before ?? "-"} -> ${c.after ?? "-"}`;
+  }
+}
+
+/**
+ * One alert per PRO per run, listing the alerting changes.
+ */
+function alertFor(pro, s, changes) {
+  return {
+    pro,
+    pu: s.pu,
+    message: changes.map(changeText).join("; "),
+    changes: changes.map(({ kind, label, before, after }) => ({ kind, label, before, after })),
+    verdict: s.verdict,
+    verdictReason: s.verdictReason,
+    fms: { DO: s.DO, status: s.fmsStatus, loc: s.fmsLoc },
+    tms: { orderId: s.tmsOrderId, stage: s.tmsStage, loc: s.tmsLoc }
+  };
+}
+
+/* ========================
+   RUNNER
+======================== */
+// Watchlists with a run in progress in this process
+const RUNNING = new Set();
+
+/**
+ * Re-check a watchlist now. Resolves to null for an unknown id, { busy: true }
+ * when it is already running here, else
+ *   { watchlist, runId, checked, warnings, transitions, alerts, notified, delivered }
+ * (`delivered` lists the outbound notification attempts).
+ * A check that fails outright is recorded as the watchlist's lastError and rethrown.
+ */
+export async function runWatchlist(id, store = watchlistStore()) {
+  if (RUNNING.has(id)) return { busy: true };
+  RUNNING.add(id);
+  try {
+    const watchlist = await store.get(id);
+    if (!watchlist) return null;
+    return await runChecked(watchlist, store);
+  } finally {
+    RUNNING.delete(id);
+  }
+}
+
+async function runChecked(watchlist, store) {
+  const at     = new Date().toISOString();
+  const inputs = prepareInputs(watchlist.pros, "pro");
+  const report = checkReport(inputs, "watchlist");
+
+  let results, summary;
+  try {
+    results = await report.run((hooks) => checkByPro(inputs.trimmed, hooks));
+    summary = await report.finish(results, { notify: false });
+  } catch (e) {
+    await saveRun(store, watchlist.id, { lastRunAt: at, lastError: String(e?.message || e) });
+    throw e;
+  }
+
+  const state = {};
+  const transitions = [];
+  const alerts = [];
+  for (const r of results) {
+    const prev = watchlist.state[r.pro];
+    const cur  = watchState(r, prev, at);
+    state[r.pro] = cur;
+    // First run of a PRO is its baseline
+    if (!prev) continue;
+
+    const changes = stateChanges(prev, cur);
+    transitions.push(...changes.map((c) => ({ at, runId: summary.runId, pro: r.pro, ...c })));
+    const alerting = changes.filter((c) => c.alert);
+    if (alerting.length) alerts.push(alertFor(r.pro, cur, alerting));
+  }
+
+  const ref = { id: watchlist.id, name: watchlist.name };
+  const notified  = await sendAlerts({ at, watchlist: ref, runId: summary.runId, alerts });
+  const delivered = await notifyRun(runEvent({ mode: "watchlist", runId: summary.runId, results, watchlist: ref, alerts }));
+  const saved = await saveRun(store, watchlist.id, {
+    lastRunAt: at, lastRunId: summary.runId, lastError: null, state, transitions
+  });
+
+  return {
+    watchlist: watchlistInfo(saved || watchlist),
+    runId: summary.runId,
+    checked: results.length,
+    warnings: summary.warnings,
+    transitions,
+    alerts,
+    notified,
+    delivered
+  };
+}
+
+/**
+ * Apply a run's outcome to the stored watchlist as it is now, so an edit made
+ * while the check ran isn't lost. A watchlist deleted meanwhile stays deleted.
+ */
+async function saveRun(store, id, { state, transitions = [], ...run }) {
+  return store.update(id, (latest) => {
+    const saved = { ...latest, ...run };
+    if (state) saved.state = keepState(state, latest.pros);
+    saved.transitions = [...latest.transitions, ...transitions].slice(-WATCHLIST_MAX_TRANSITIONS);
+    return saved;
+  });
+}
+
+/**
+ * Run every enabled watchlist whose interval has passed, one at a time.
+ * Resolves to { due, ran: [{ id, name, runId, checked, transitions, alerts } | { id, name, error }] };
+ * counts stand in for the transition and alert lists.
+ */
+export async function runDueWatchlists({ now = Date.now(), store = watchlistStore() } = {}) {
+  const due = (await store.list()).filter((w) => isDue(w, now));
+  const ran = [];
+  for (const { id, name } of due) {
+    try {
+      const r = await runWatchlist(id, store);
+      if (!r || r.busy) continue;
+      ran.push({ id, name, runId: r.runId, checked: r.checked, transitions: r.transitions.length, alerts: r.alerts.length });
+    } catch (e) {
+      console.error(`Watchlist "${name}" run failed:`, e?.message || e);
+      ran.push({ id, name, error: String(e?.message || e) });
+    }
+  }
+  return { due: due.length, ran };
+}
+
+let TIMER = null;
+
+/**
+ * Look for due watchlists every `everyMs` in this process (for a long-running
+ * server; serverless deployments call api/watchlist-run.js from a cron).
+ * Starting it twice is a no-op. Returns a function that stops it.
+ */
+export function startWatchScheduler(everyMs = WATCHLIST_TICK_MS) {
+  if (!TIMER) {
+    let ticking = false;
+    TIMER = setInterval(async () => {
+      if (ticking) return;
+      ticking = true;
+      try {
+        await runDueWatchlists();
+      } catch (e) {
+        console.error("Watchlist scheduler tick failed:", e?.message || e);
+      } finally {
+        ticking = false;
+      }
+    }, everyMs);
+    TIMER.unref?.();
+  }
+  return () => {
+    clearInterval(TIMER);
+    TIMER = null;
+  };
+}
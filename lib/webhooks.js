@@ -0,0 +1,246 @@
+// lib/webhooks.js
+// Outbound notifications at the end of a check (lib/report.js) or watchlist
+// run (lib/watchlists.js): one event per run listing the mismatched PROs with
+// their FMS and TMS status and location, plus a watchlist run's alerts.
+//
+// Targets come from the environment (or setNotifyTargets()):
+//   NOTIFY_WEBHOOK_URL   generic JSON webhook; the body is the event itself.
+//                        With NOTIFY_WEBHOOK_SECRET each POST carries
+//                        X-Timestamp and X-Signature-256: "sha256=" + hex
+//                        HMAC-SHA256(secret, `${timestamp}.${body}`)
+//   NOTIFY_SLACK_URL     Slack incoming webhook (text + blocks)
+//   NOTIFY_TEAMS_URL     Teams workflow webhook (Adaptive Card message)
+// NOTIFY_ON is "mismatch" (default: only runs with mismatches or alerts) or "always".
+//
+// Deliveries go through the shared upstream client (timeout, retries on
+// network errors and HTTP 429/5xx, circuit breaker per target); a delivery
+// that still fails is logged and never fails the run. A run waits at most
+// NOTIFY_WAIT_MS for its deliveries; one still retrying then carries on
+// without holding up the response.
+
+import { createHmac, randomUUID } from "node:crypto";
+import { createUpstream, numEnv } from "./upstream.js";
+
+/* ========================
+   CONFIG
+======================== */
+const NOTIFY_ON         = process.env.NOTIFY_ON || "mismatch";
+const NOTIFY_TIMEOUT_MS = Number(process.env.NOTIFY_TIMEOUT_MS) || 10 * 1000;
+const NOTIFY_RETRIES    = numEnv("NOTIFY_RETRIES", 3);
+const NOTIFY_WAIT_MS    = numEnv("NOTIFY_WAIT_MS", 5 * 1000);
+// Mismatches carried in a JSON event, and rows listed in a chat message
+const NOTIFY_MAX_ITEMS  = Number(process.env.NOTIFY_MAX_ITEMS) || 500;
+const NOTIFY_CHAT_ROWS  = Number(process.env.NOTIFY_CHAT_ROWS) || 20;
+
+// Slack rejects section text over 3000 characters
+const SLACK_SECTION_MAX = 2900;
+
+/* ========================
+   EVENTS
+======================== */
+// A disagreement between the systems; a result that couldn't be checked is not one
+const isMismatch = (r) => (r.verdict !== "match" && r.verdict !== "error") || r.locationMatch === false;
+
+function mismatchItem(r) {
+  return {
+    pro: r.pro ?? null,
+    pu: r.pu ?? null,
+    verdict: r.verdict ?? null,
+    verdictReason: r.verdictReason ?? null,
+    locationMatch: r.locationMatch ?? null,
+    fms: { DO: r.fms?.DO ?? null, status: r.fms?.status ?? null, substatus: r.fms?.substatus ?? null, loc: r.fms?.loc ?? null },
+    tms: { orderId: r.tms?.orderId ?? null, stage: r.tms?.status ?? null, status: r.tms?.substatus ?? null, loc: r.tms?.loc ?? null }
+  };
+}
+
+/**
+ * The event for one finished run. `watchlist` ({ id, name }) and `alerts`
+ * are set for a watchlist run:
+ *   { event: "check.finished" | "watchlist.run", at, runId, mode, watchlist,
+ *     checked, verdicts: { verdict: n }, mismatchCount, mismatches: [...], alerts? }
+ */
+export function runEvent({ mode, runId = null, results, watchlist = null, alerts = [] }) {
+  const verdicts = {};
+  for (const r of results) verdicts[r.verdict] = (verdicts[r.verdict] || 0) + 1;
+  const mismatches = results.filter(isMismatch);
+
+  return {
+    event: watchlist ? "watchlist.run" : "check.finished",
+    at: new Date().toISOString(),
+    runId,
+    mode,
+    watchlist,
+    checked: results.length,
+    verdicts,
+    mismatchCount: mismatches.length,
+    mismatches: mismatches.slice(0, NOTIFY_MAX_ITEMS).map(mismatchItem),
+    ...(watchlist ? { alerts } : {})
+  };
+}
+
+/* ========================
+   CHAT FORMATS
+======================== */
+const side = (status, loc) => `${status ?? "-"} at ${loc ?? "-"}`;
+
+const mismatchText = (m) =>
+  `${m.verdict}${m.locationMatch === false ? ", location" : ""}: `
+  + `FMS ${side(m.fms.status, m.fms.loc)} / TMS ${side(m.tms.stage, m.tms.loc)}`;
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+/**
+ * Title and row groups shared by the Slack and Teams messages. Each group is
+ * { heading, rows: [{ pro, text }], more } with at most NOTIFY_CHAT_ROWS rows.
+ */
+function chatContent(ev) {
+  const checked = `${ev.mismatchCount} of ${plural(ev.checked, "PRO")} mismatched`;
+  const title = ev.watchlist
+    ? `Watchlist "${ev.watchlist.name}": ${plural(ev.alerts.length, "alert")}, ${checked}`
+    : `FMS vs TMS check (${ev.mode}): ${checked}`;
+
+  const group = (heading, rows, total) =>
+    ({ heading, rows: rows.slice(0, NOTIFY_CHAT_ROWS), more: total - Math.min(total, NOTIFY_CHAT_ROWS) });
+  const groups = [];
+  if (ev.alerts?.length) {
+    groups.push(group("Alerts", ev.alerts.map((a) => ({ pro: a.pro, text: a.message })), ev.alerts.length));
+  }
+  if (ev.mismatchCount) {
+    groups.push(group("Mismatches", ev.mismatches.map((m) => ({ pro: m.pro, text: mismatchText(m) })), ev.mismatchCount));
+  }
+  return { title, groups };
+}
+
+// Slack mrkdwn control characters
+const slackEscape = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+// Join lines into texts no longer than `max` characters
+function chunkLines(lines, max) {
+  const chunks = [];
+  let cur = "";
+  for (const line of lines) {
+    if (cur && cur.length + line.length + 1 > max) {
+      chunks.push(cur);
+      cur = "";
+    }
+    cur = cur ? `${cur}\n${line}` : line.slice(0, max);
+  }
+  if (cur) chunks.push(cur);
+  return chunks;
+}
+
+function slackMessage(ev) {
+  const { title, groups } = chatContent(ev);
+  const blocks = [{ type: "section", text: { type: "mrkdwn", text: `*${slackEscape(title)}*` } }];
+  for (const g of groups) {
+    const lines = [`*${g.heading}*`, ...g.rows.map((r) => `- ${slackEscape(`${r.pro}: ${r.text}`)}`)];
+    for (const text of chunkLines(lines, SLACK_SECTION_MAX)) blocks.push({ type: "section", text: { type: "mrkdwn", text } });
+    if (g.more) blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: `and ${g.more} more` }] });
+  }
+  return { text: title, blocks };
+}
+
+function teamsMessage(ev) {
+  const { title, groups } = chatContent(ev);
+  const body = [{ type: "TextBlock", text: title, weight: "Bolder", size: "Medium", wrap: true }];
+  for (const g of groups) {
+    body.push({ type: "TextBlock", text: g.heading, weight: "Bolder", spacing: "Medium" });
+    body.push({ type: "FactSet", facts: g.rows.map((r) => ({ title: String(r.pro), value: r.text })) });
+    if (g.more) body.push({ type: "TextBlock", text: `and ${g.more} more`, isSubtle: true });
+  }
+  return {
+    type: "message",
+    attachments: [{
+      contentType: "application/vnd.microsoft.card.adaptive",
+      contentUrl: null,
+      content: { $schema: "http://adaptivecards.io/schemas/adaptive-card.json", type: "AdaptiveCard", version: "1.4", body }
+    }]
+  };
+}
+
+const FORMATS = {
+  json: (ev) => ev,
+  slack: slackMessage,
+  teams: teamsMessage
+};
+
+/* ========================
+   TARGETS
+======================== */
+let TARGETS;
+
+/**
+ * Targets as { name, format: "json" | "slack" | "teams", url, secret?, client }.
+ */
+export function notifyTargets() {
+  TARGETS ??= setNotifyTargets([
+    { name: "webhook", format: "json", url: process.env.NOTIFY_WEBHOOK_URL, secret: process.env.NOTIFY_WEBHOOK_SECRET },
+    { name: "slack", format: "slack", url: process.env.NOTIFY_SLACK_URL },
+    { name: "teams", format: "teams", url: process.env.NOTIFY_TEAMS_URL }
+  ]);
+  return TARGETS;
+}
+
+/**
+ * Replace the targets ([{ name, format, url, secret? }]; entries without a
+ * url are skipped). Returns the installed list.
+ */
+export function setNotifyTargets(list) {
+  TARGETS = list.filter((t) => t.url).map((t) => {
+    if (!FORMATS[t.format]) throw new Error(`Unknown notification format "${t.format}"`);
+    return { ...t, client: createUpstream(`notify_${t.name}`, { timeoutMs: NOTIFY_TIMEOUT_MS, retries: NOTIFY_RETRIES }) };
+  });
+  return TARGETS;
+}
+
+/* ========================
+   DELIVERY
+======================== */
+function jsonHeaders(target, ev, body) {
+  const headers = { "X-Event": ev.event, "X-Delivery-Id": randomUUID() };
+  if (target.secret) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = createHmac("sha256", target.secret).update(`${timestamp}.${body}`).digest("hex");
+    headers["X-Timestamp"] = timestamp;
+    headers["X-Signature-256"] = `sha256=${signature}`;
+  }
+  return headers;
+}
+
+async function deliver(target, ev) {
+  const body = JSON.stringify(FORMATS[target.format](ev));
+  const headers = {
+    "Content-Type": "application/json",
+    ...(target.format === "json" ? jsonHeaders(target, ev, body) : {})
+  };
+  try {
+    const r = await target.client.call(target.url, { method: "POST", headers, body }, { call: ev.event });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    return { target: target.name, ok: true, status: r.status };
+  } catch (e) {
+    const error = String(e?.message || e);
+    console.error(`Notification to ${target.name} failed (${ev.event}${ev.runId ? ` ${ev.runId}` : ""}):`, error);
+    return { target: target.name, ok: false, error };
+  }
+}
+
+// A delivery's outcome, or a "still sending" one after `ms`
+function within(ms, target, delivery) {
+  let timer;
+  const late = new Promise((resolve) => {
+    timer = setTimeout(() => resolve({ target: target.name, ok: false, error: `still sending after ${ms}ms` }), ms);
+  });
+  return Promise.race([delivery, late]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Send a run event to every target. Resolves within NOTIFY_WAIT_MS to one
+ * { target, ok, status | error } per delivery; empty when there are no
+ * targets or NOTIFY_ON skips the run.
+ */
+export async function notifyRun(ev) {
+  const targets = notifyTargets();
+  if (!targets.length) return [];
+  if (NOTIFY_ON !== "always" && !ev.mismatchCount && !ev.alerts?.length) return [];
+  return Promise.all(targets.map((t) => within(NOTIFY_WAIT_MS, t, deliver(t, ev))));
+}
@@ -0,0 +1,136 @@
+// test/watchlists.test.js
+// Watchlist runs against local FMS/TMS stand-ins, with alerts going to the
+// file notifier.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+/* ========================
+   FMS / TMS STAND-IN
+======================== */
+// PRO -> { DO, pu, loc, status }; the TMS side is a list of trace rows
+const fms = {};
+let tms = [];
+
+function reply(res, body, status = 200) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+const server = createServer(async (req, res) => {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+  const url = req.url;
+  const byDO = (DO) => Object.values(fms).find((o) => o.DO === decodeURIComponent(DO));
+
+  if (url.includes("/Auth/Login")) return reply(res, { data: { token: "T" } });
+  if (url.includes("/shipment-orders/query")) {
+    const { tracking_nos = [] } = JSON.parse(body);
+    const items = Object.entries(fms).filter(([pro]) => tracking_nos.includes(pro))
+      .map(([pro, o]) => ({ tracking_no: pro, order_no: o.DO, reference5: o.pu }));
+    return reply(res, { data: { items, total_count: items.length } });
+  }
+  if (url.includes("/getshipment-orderbasic-headinfo/")) {
+    const o = byDO(url.split("/").pop());
+    return reply(res, { data: { order_status_describe: o.status, order_sub_status_describe: "" } });
+  }
+  if (url.includes("/getshipment-orderbasic/")) {
+    return reply(res, { data: { current_location: byDO(url.split("/").pop()).loc } });
+  }
+  if (url.includes("/check_login")) return reply(res, { UserID: 1, UserToken: "U" });
+  if (url.includes("/write_change_user_group")) return reply(res, {});
+  if (url.includes("/get_tms_trace")) {
+    const pros = (new URLSearchParams(body).get("input_filter_pro") || "").split("\n");
+    return reply(res, { data: tms.filter((rw) => pros.includes(rw.tms_order_pro)) });
+  }
+  reply(res, { error: "not found" }, 404);
+});
+
+let lib;
+let dir;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  Object.assign(process.env, {
+    FMS_BASE_URL: base, TMS_BASE_URL: base, FMS_USER: "u", FMS_PASS: "p",
+    HISTORY_STORE: "memory", WATCHLIST_STORE: "memory"
+  });
+  dir = await mkdtemp(join(tmpdir(), "watchlists-test-"));
+  // Config is read on import, so the modules load once the stand-in is up
+  lib = {
+    ...await import("../lib/watchlists.js"),
+    ...await import("../lib/notify.js")
+  };
+});
+
+after(async () => {
+  server.close();
+  await rm(dir, { recursive: true, force: true });
+});
+
+/* ========================
+   TESTS
+======================== */
+const readAlerts = async (path) =>
+  (await readFile(path, "utf8").catch(() => "")).split("\n").filter(Boolean).map((l) => JSON.parse(l));
+
+test("runWatchlist alerts on delivery and on a PRO leaving TMS through the file notifier", async () => {
+  const path = join(dir, "alerts.ndjson");
+  lib.setNotifier(lib.createFileNotifier(path));
+
+  fms["111111"] = { DO: "DO1000001", pu: "P1", loc: "LAX", status: "In Transit" };
+  tms = [{ tms_order_pro: "111111", tms_order_id: 1, wa2_code: "LAX", tms_order_stage: "In Transit", tms_order_status: "" }];
+  const { watchlist } = await lib.createWatchlist({ name: "LAX", pros: ["111111"] });
+
+  // First run: the baseline, nothing to alert on
+  let run = await lib.runWatchlist(watchlist.id);
+  assert.equal(run.checked, 1);
+  assert.deepEqual(run.alerts, []);
+  assert.deepEqual(await readAlerts(path), []);
+
+  // Delivered in both systems
+  fms["111111"].status = "Delivered";
+  tms[0].tms_order_stage = "Delivered";
+  run = await lib.runWatchlist(watchlist.id);
+  assert.equal(run.notified.sent, true);
+  let alerts = await readAlerts(path);
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].pro, "111111");
+  assert.deepEqual(alerts[0].watchlist, { id: watchlist.id, name: "LAX" });
+  assert.equal(alerts[0].runId, run.runId);
+  assert.deepEqual(alerts[0].changes.map((c) => c.kind), ["delivered"]);
+
+  // Gone from TMS: the verdict changes too, still one alert for the PRO
+  tms = [];
+  run = await lib.runWatchlist(watchlist.id);
+  alerts = await readAlerts(path);
+  assert.equal(alerts.length, 2);
+  assert.deepEqual(alerts[1].changes.map((c) => c.kind).sort(), ["missing_in_tms", "verdict"]);
+  assert.equal(alerts[1].changes.find((c) => c.kind === "verdict").after, "missing_in_tms");
+
+  const stored = await lib.watchlistStore().get(watchlist.id);
+  assert.equal(stored.lastRunId, run.runId);
+  // Status moves are recorded as transitions without alerting
+  assert.deepEqual(stored.transitions.map((t) => t.kind).sort(),
+    ["delivered", "fms_status", "missing_in_tms", "tms_stage", "tms_stage", "verdict"]);
+});
+
+test("a run without changes sends nothing", async () => {
+  const path = join(dir, "quiet.ndjson");
+  lib.setNotifier(lib.createFileNotifier(path));
+
+  fms["222222"] = { DO: "DO1000002", pu: "P2", loc: "LAX", status: "In Transit" };
+  tms = [{ tms_order_pro: "222222", tms_order_id: 2, wa2_code: "LAX", tms_order_stage: "In Transit", tms_order_status: "" }];
+  const { watchlist } = await lib.createWatchlist({ name: "Quiet", pros: ["222222"] });
+
+  await lib.runWatchlist(watchlist.id);
+  const run = await lib.runWatchlist(watchlist.id);
+  assert.deepEqual(run.alerts, []);
+  assert.equal(run.notified.sent, false);
+  assert.deepEqual(await readAlerts(path), []);
+});
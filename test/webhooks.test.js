@@ -0,0 +1,148 @@
+// test/webhooks.test.js
+// Outbound notifications delivered to a local HTTP stand-in.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { createHmac } from "node:crypto";
+
+/* ========================
+   TARGET STAND-IN
+======================== */
+// Every request received, and per-path responses still to give (then 200)
+let received = [];
+let failures = {};
+
+const server = createServer(async (req, res) => {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+  received.push({ path: req.url, headers: req.headers, body });
+  const status = failures[req.url]?.shift() ?? 200;
+  res.writeHead(status, { "Content-Type": "text/plain" });
+  res.end(status === 200 ? "ok" : "unavailable");
+});
+
+let base;
+let webhooks;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  Object.assign(process.env, { NOTIFY_RETRIES: "2", NOTIFY_TIMEOUT_MS: "2000", UPSTREAM_BACKOFF_MS: "0" });
+  webhooks = await import("../lib/webhooks.js");
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  received = [];
+  failures = {};
+});
+
+/* ========================
+   TESTS
+======================== */
+const mismatch = {
+  pro: "111111", pu: "P1", verdict: "status_mismatch", verdictReason: "FMS In Transit vs TMS Delivered", locationMatch: true,
+  fms: { DO: "DO1000001", status: "In Transit", substatus: null, loc: "LAX" },
+  tms: { orderId: 1, status: "Delivered", substatus: null, loc: "LAX" }
+};
+const match = { ...mismatch, pro: "222222", verdict: "match", verdictReason: null };
+
+test("a JSON target gets the event with an HMAC signature over timestamp and body", async () => {
+  webhooks.setNotifyTargets([{ name: "signed", format: "json", url: `${base}/signed`, secret: "s3cret" }]);
+  const ev = webhooks.runEvent({ mode: "pro", runId: "run-1", results: [mismatch, match] });
+
+  const delivered = await webhooks.notifyRun(ev);
+  assert.deepEqual(delivered, [{ target: "signed", ok: true, status: 200 }]);
+  assert.equal(received.length, 1);
+
+  const { headers, body } = received[0];
+  const expected = createHmac("sha256", "s3cret").update(`${headers["x-timestamp"]}.${body}`).digest("hex");
+  assert.equal(headers["x-signature-256"], `sha256=${expected}`);
+  assert.equal(headers["x-event"], "check.finished");
+  assert.ok(headers["x-delivery-id"]);
+
+  const sent = JSON.parse(body);
+  assert.equal(sent.runId, "run-1");
+  assert.equal(sent.checked, 2);
+  assert.equal(sent.mismatchCount, 1);
+  assert.deepEqual(sent.mismatches.map((m) => m.pro), ["111111"]);
+});
+
+test("a target without a secret is not signed", async () => {
+  webhooks.setNotifyTargets([{ name: "unsigned", format: "json", url: `${base}/unsigned` }]);
+  await webhooks.notifyRun(webhooks.runEvent({ mode: "pro", results: [mismatch] }));
+  assert.equal(received[0].headers["x-signature-256"], undefined);
+});
+
+test("5xx answers are retried until one succeeds", async () => {
+  webhooks.setNotifyTargets([{ name: "flaky", format: "json", url: `${base}/flaky` }]);
+  failures["/flaky"] = [503, 502];
+
+  const delivered = await webhooks.notifyRun(webhooks.runEvent({ mode: "pro", results: [mismatch] }));
+  assert.deepEqual(delivered, [{ target: "flaky", ok: true, status: 200 }]);
+  assert.equal(received.length, 3);
+});
+
+test("a target still failing after NOTIFY_RETRIES is reported, not thrown", async () => {
+  webhooks.setNotifyTargets([{ name: "down", format: "json", url: `${base}/down` }]);
+  failures["/down"] = [503, 503, 503];
+
+  const delivered = await webhooks.notifyRun(webhooks.runEvent({ mode: "pro", results: [mismatch] }));
+  assert.deepEqual(delivered, [{ target: "down", ok: false, error: "HTTP 503" }]);
+  assert.equal(received.length, 3);
+});
+
+test("by default only runs with mismatches or alerts are sent", async () => {
+  webhooks.setNotifyTargets([{ name: "filtered", format: "json", url: `${base}/filtered` }]);
+
+  assert.deepEqual(await webhooks.notifyRun(webhooks.runEvent({ mode: "pro", results: [match] })), []);
+  assert.equal(received.length, 0);
+
+  const alerts = [{ pro: "222222", message: "delivered (Delivered)" }];
+  const ev = webhooks.runEvent({ mode: "watchlist", results: [match], watchlist: { id: "w1", name: "LAX" }, alerts });
+  assert.equal((await webhooks.notifyRun(ev))[0].ok, true);
+  assert.equal(JSON.parse(received[0].body).event, "watchlist.run");
+});
+
+test("NOTIFY_ON=always sends runs without mismatches too", async () => {
+  process.env.NOTIFY_ON = "always";
+  try {
+    // A fresh copy of the module, which reads NOTIFY_ON when loaded
+    const always = await import("../lib/webhooks.js?always");
+    always.setNotifyTargets([{ name: "always", format: "json", url: `${base}/always` }]);
+    const delivered = await always.notifyRun(always.runEvent({ mode: "pro", results: [match] }));
+    assert.equal(delivered[0].ok, true);
+    assert.equal(JSON.parse(received[0].body).mismatchCount, 0);
+  } finally {
+    delete process.env.NOTIFY_ON;
+  }
+});
+
+test("Slack gets a text fallback and mrkdwn sections", async () => {
+  webhooks.setNotifyTargets([{ name: "slack", format: "slack", url: `${base}/slack` }]);
+  await webhooks.notifyRun(webhooks.runEvent({ mode: "pro", results: [mismatch, match] }));
+
+  const msg = JSON.parse(received[0].body);
+  assert.equal(msg.text, "FMS vs TMS check (pro): 1 of 2 PROs mismatched");
+  assert.deepEqual(msg.blocks[0], { type: "section", text: { type: "mrkdwn", text: `*${msg.text}*` } });
+  assert.equal(msg.blocks[1].type, "section");
+  assert.match(msg.blocks[1].text.text, /^\*Mismatches\*\n- 111111: status_mismatch: FMS In Transit at LAX \/ TMS Delivered at LAX$/);
+  assert.equal(received[0].headers["x-signature-256"], undefined);
+});
+
+test("Teams gets an Adaptive Card message", async () => {
+  webhooks.setNotifyTargets([{ name: "teams", format: "teams", url: `${base}/teams` }]);
+  await webhooks.notifyRun(webhooks.runEvent({ mode: "pro", results: [mismatch] }));
+
+  const msg = JSON.parse(received[0].body);
+  assert.equal(msg.type, "message");
+  assert.equal(msg.attachments.length, 1);
+  const { contentType, content } = msg.attachments[0];
+  assert.equal(contentType, "application/vnd.microsoft.card.adaptive");
+  assert.equal(content.type, "AdaptiveCard");
+  assert.equal(content.body[0].text, "FMS vs TMS check (pro): 1 of 1 PRO mismatched");
+  assert.deepEqual(content.body[1], { type: "TextBlock", text: "Mismatches", weight: "Bolder", spacing: "Medium" });
+  assert.deepEqual(content.body[2].facts, [{ title: "111111", value: "status_mismatch: FMS In Transit at LAX / TMS Delivered at LAX" }]);
+});